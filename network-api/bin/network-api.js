@@ -0,0 +1,395 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { parseArgs } = require('util');
+const axios = require('axios');
+const { summarizeResult } = require('../lib/results');
+const { isConnectionError } = require('../lib/breaker');
+
+const USAGE = `Usage: network-api analyze <path...> [options]
+
+Analyzes files, and every file in the given directories, against a running
+network-api. Images go to /analyze, audio to /analyze-audio and video to
+/analyze-video; other files are skipped.
+
+Options:
+  -u, --url <url>           Server to use (default: $NETWORK_API_URL or http://localhost:3000)
+  -k, --api-key <key>       API key (default: $NETWORK_API_KEY)
+  -c, --concurrency <n>     Files analyzed at once (default: 4)
+  -o, --output <file>       Write results to a file instead of stdout
+  -f, --format <format>     jsonl or csv (default: from the --output extension, else jsonl)
+  -r, --resume              Skip files --output already has a successful result for
+      --segment <mode>      Audio segmentation: true, false or auto
+      --retries <n>         Retries of a file turned away with 429 or 503,
+                            or when the server cannot be reached (default: 3).
+                            A used-up daily quota, or a Retry-After over a
+                            minute, fails the file instead
+      --timeout <ms>        Time limit for each file (default: 600000)
+  -h, --help                Show this help
+
+Exit status: 0 when every file was analyzed, 1 when any failed, 2 on a usage
+error, 130 when interrupted.`;
+
+// The files the web UI's isValidFile() lets through and the server's upload
+// validation accepts, by extension
+const TYPES = {
+  image: ['.jpg', '.jpeg', '.png', '.gif', '.webp'],
+  audio: ['.mp3', '.wav', '.m4a'],
+  video: ['.mp4', '.webm']
+};
+
+const ENDPOINTS = {
+  image: '/analyze',
+  audio: '/analyze-audio',
+  video: '/analyze-video'
+};
+
+const CSV_COLUMNS = ['path', 'type', 'status', 'decision', 'score', 'cached', 'httpStatus', 'requestId', 'error', 'analyzedAt', 'policyVersion'];
+
+class UsageError extends Error {}
+
+function getFileType(file) {
+  const ext = path.extname(file).toLowerCase();
+  return Object.keys(TYPES).find(type => TYPES[type].includes(ext)) || 'unknown';
+}
+
+function parseCount(value, name, min) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min) {
+    throw new UsageError(`--${name} must be a whole number, at least ${min}`);
+  }
+  return number;
+}
+
+function parseOptions(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      url: { type: 'string', short: 'u' },
+      'api-key': { type: 'string', short: 'k' },
+      concurrency: { type: 'string', short: 'c', default: '4' },
+      output: { type: 'string', short: 'o' },
+      format: { type: 'string', short: 'f' },
+      resume: { type: 'boolean', short: 'r', default: false },
+      segment: { type: 'string' },
+      retries: { type: 'string', default: '3' },
+      timeout: { type: 'string', default: '600000' },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  const format = values.format || (values.output?.toLowerCase().endsWith('.csv') ? 'csv' : 'jsonl');
+  if (!['jsonl', 'csv'].includes(format)) {
+    throw new UsageError('--format must be jsonl or csv');
+  }
+  if (values.resume && !values.output) {
+    throw new UsageError('--resume needs --output, the file to resume from');
+  }
+  if (values.segment !== undefined && !['true', 'false', 'auto'].includes(values.segment)) {
+    throw new UsageError('--segment must be true, false or auto');
+  }
+
+  return {
+    help: values.help,
+    paths: positionals,
+    url: (values.url || process.env.NETWORK_API_URL || 'http://localhost:3000').replace(/\/+$/, ''),
+    apiKey: values['api-key'] || process.env.NETWORK_API_KEY,
+    concurrency: parseCount(values.concurrency, 'concurrency', 1),
+    output: values.output,
+    format,
+    resume: values.resume,
+    segment: values.segment,
+    retries: parseCount(values.retries, 'retries', 0),
+    timeoutMs: parseCount(values.timeout, 'timeout', 1)
+  };
+}
+
+// Every file under the given paths, depth first in name order
+async function* walk(paths) {
+  for (const target of paths) {
+    const stats = await fs.promises.stat(target);
+    if (!stats.isDirectory()) {
+      yield target;
+      continue;
+    }
+    const entries = await fs.promises.readdir(target, { withFileTypes: true });
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+      if (entry.name.startsWith('.')) continue;
+      const child = path.join(target, entry.name);
+      if (entry.isDirectory()) {
+        yield* walk([child]);
+      } else if (entry.isFile()) {
+        yield child;
+      }
+    }
+  }
+}
+
+function csvField(value) {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields;
+}
+
+// Files an earlier run already analyzed successfully. A line cut short by an
+// interruption is ignored, so that file is analyzed again.
+async function readCompleted(file, format) {
+  const completed = new Set();
+  let stream;
+  try {
+    stream = fs.createReadStream(file, 'utf-8');
+    for await (const line of readline.createInterface({ input: stream, crlfDelay: Infinity })) {
+      if (!line.trim()) continue;
+      let record;
+      if (format === 'csv') {
+        const fields = parseCsvLine(line);
+        record = { path: fields[CSV_COLUMNS.indexOf('path')], status: fields[CSV_COLUMNS.indexOf('status')] };
+      } else {
+        try {
+          record = JSON.parse(line);
+        } catch {
+          continue;
+        }
+      }
+      if (record.status === 'ok' && record.path) {
+        completed.add(path.resolve(record.path));
+      }
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  } finally {
+    stream?.destroy();
+  }
+  return completed;
+}
+
+function openOutput(options) {
+  if (!options.output) {
+    return { stream: process.stdout, fresh: true };
+  }
+  let contents = '';
+  if (options.resume) {
+    try {
+      contents = fs.readFileSync(options.output, 'utf-8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+  const stream = fs.createWriteStream(options.output, { flags: options.resume ? 'a' : 'w' });
+  // Finish a line an interruption cut short, so the next record starts on its own
+  if (contents && !contents.endsWith('\n')) {
+    stream.write('\n');
+  }
+  return { stream, fresh: contents.length === 0 };
+}
+
+function formatRecord(record, format) {
+  if (format === 'csv') {
+    return CSV_COLUMNS.map(column => csvField(record[column])).join(',') + '\n';
+  }
+  return JSON.stringify(record) + '\n';
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Longest Retry-After worth waiting for; a file asked to wait longer fails
+const MAX_RETRY_WAIT_MS = 60000;
+
+// Seconds the server asked us to wait, or a growing backoff when it did not say
+function retryDelayMs(error, attempt) {
+  const retryAfter = parseInt(error.response?.headers?.['retry-after'], 10);
+  if (Number.isFinite(retryAfter)) return retryAfter * 1000;
+  return Math.min(1000 * 2 ** attempt, 30000);
+}
+
+function isRetryable(error) {
+  // A used-up daily quota only comes back at midnight UTC
+  if (error.response?.data?.error === 'Daily quota exceeded') return false;
+  return [429, 503].includes(error.response?.status) || isConnectionError(error);
+}
+
+// fs.openAsBlob arrived in Node 19.8; older versions read the file whole
+async function readBlob(file) {
+  return fs.openAsBlob ? fs.openAsBlob(file) : new Blob([await fs.promises.readFile(file)]);
+}
+
+async function upload(file, type, options) {
+  const form = new FormData();
+  form.append(type, await readBlob(file), path.basename(file));
+  if (type === 'audio' && options.segment !== undefined) {
+    form.append('segment', options.segment);
+  }
+
+  return axios.post(`${options.url}${ENDPOINTS[type]}`, form, {
+    headers: options.apiKey ? { Authorization: `Bearer ${options.apiKey}` } : {},
+    timeout: options.timeoutMs,
+    maxBodyLength: Infinity,
+    maxContentLength: Infinity
+  });
+}
+
+async function analyzeFile(file, type, options) {
+  const record = { path: file, type };
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await upload(file, type, options);
+      const { decision, score } = summarizeResult(type, response.data);
+      return {
+        ...record,
+        status: 'ok',
+        decision,
+        score,
+        cached: response.data?.cached === true,
+        policyVersion: response.data?.policy?.version,
+        httpStatus: response.status,
+        requestId: response.headers['x-request-id'],
+        analyzedAt: new Date().toISOString(),
+        result: response.data
+      };
+    } catch (error) {
+      if (attempt < options.retries && isRetryable(error)) {
+        const waitMs = retryDelayMs(error, attempt);
+        if (waitMs <= MAX_RETRY_WAIT_MS) {
+          await delay(waitMs);
+          continue;
+        }
+      }
+      const body = error.response?.data;
+      return {
+        ...record,
+        status: 'failed',
+        httpStatus: error.response?.status ?? null,
+        requestId: error.response?.headers?.['x-request-id'],
+        error: body?.message || body?.error || error.message,
+        analyzedAt: new Date().toISOString()
+      };
+    }
+  }
+}
+
+async function analyze(options) {
+  if (options.paths.length === 0) {
+    throw new UsageError('Give at least one file or directory to analyze');
+  }
+  for (const target of options.paths) {
+    if (!fs.existsSync(target)) {
+      throw new UsageError(`No such file or directory: ${target}`);
+    }
+  }
+
+  const completed = options.resume ? await readCompleted(options.output, options.format) : new Set();
+  const { stream, fresh } = openOutput(options);
+  if (options.format === 'csv' && fresh) {
+    stream.write(CSV_COLUMNS.join(',') + '\n');
+  }
+
+  const counts = { ok: 0, failed: 0, skipped: 0, unsupported: 0 };
+  let interrupted = false;
+  const onInterrupt = () => {
+    if (interrupted) process.exit(130);
+    interrupted = true;
+    console.error('Interrupted, waiting for files in flight (press Ctrl+C again to quit now)');
+  };
+  process.on('SIGINT', onInterrupt);
+  process.on('SIGTERM', onInterrupt);
+
+  const files = walk(options.paths);
+  async function worker() {
+    while (!interrupted) {
+      const { value: file, done } = await files.next();
+      if (done) return;
+
+      const type = getFileType(file);
+      if (type === 'unknown') {
+        counts.unsupported++;
+        continue;
+      }
+      if (completed.has(path.resolve(file))) {
+        counts.skipped++;
+        continue;
+      }
+
+      const record = await analyzeFile(file, type, options);
+      stream.write(formatRecord(record, options.format));
+      counts[record.status]++;
+      console.error(record.status === 'ok'
+        ? `ok      ${file}  ${record.decision}${record.score !== null ? ` ${record.score}` : ''}${record.cached ? ' (cached)' : ''}`
+        : `failed  ${file}  ${record.error}`);
+    }
+  }
+  await Promise.all(Array.from({ length: options.concurrency }, worker));
+
+  process.off('SIGINT', onInterrupt);
+  process.off('SIGTERM', onInterrupt);
+  if (stream !== process.stdout) {
+    await new Promise(resolve => stream.end(resolve));
+  }
+
+  console.error(`${counts.ok} analyzed, ${counts.failed} failed, ` +
+    `${counts.skipped} already done, ${counts.unsupported} unsupported`);
+  if (interrupted) return 130;
+  return counts.failed > 0 ? 1 : 0;
+}
+
+async function main(argv) {
+  const [command, ...args] = argv;
+  if (!command || command === '-h' || command === '--help') {
+    console.log(USAGE);
+    return command ? 0 : 2;
+  }
+  if (command !== 'analyze') {
+    throw new UsageError(`Unknown command "${command}"`);
+  }
+
+  const options = parseOptions(args);
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  return analyze(options);
+}
+
+main(process.argv.slice(2))
+  .then(code => { process.exitCode = code; })
+  .catch(error => {
+    if (error instanceof UsageError || error.code?.startsWith('ERR_PARSE_ARGS')) {
+      console.error(`network-api: ${error.message}\n\n${USAGE}`);
+      process.exitCode = 2;
+    } else {
+      console.error(`network-api: ${error.message}`);
+      process.exitCode = 1;
+    }
+  });
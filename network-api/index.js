@@ -1,259 +1,777 @@
 const express = require('express');
 const multer = require('multer');
-const { v4: uuidv4 } = require('uuid');
-const axios = require('axios');
-const fs = require('fs').promises;
 const path = require('path');
-const util = require('util');
+const swaggerUi = require('swagger-ui-dist');
+const {
+  analyzeImage,
+  analyzeAudio,
+  audioQueue,
+  checkCircuits,
+  storage,
+  resultCache,
+  history,
+  policies,
+  isTimeoutError,
+  checkSegmentation
+} = require('./lib/analysis');
+const { removeFile } = require('./lib/files');
+const { JobStore } = require('./lib/jobs');
+const { QueueFullError } = require('./lib/queue');
+const { CircuitOpenError } = require('./lib/breaker');
+const { ResultTimeoutError, ResultMalformedError } = require('./lib/watcher');
+const { WebhookDispatcher, validateCallbackUrl } = require('./lib/webhooks');
+const { summarizeResult, normalizeResult } = require('./lib/results');
+const { createAuth } = require('./lib/auth');
+const metrics = require('./lib/metrics');
+const { logger } = require('./lib/logger');
+const { requestIdMiddleware, reportStage, bindContext } = require('./lib/context');
+const { validateUpload, MAX_UPLOAD_BYTES } = require('./lib/validation');
+const { analyzeVideo } = require('./lib/video');
+const { parseSegmentOptions, SegmentLimitError } = require('./lib/segments');
+const openapi = require('./lib/openapi');
+const { EventHub } = require('./lib/events');
+const { checkImageHealth, checkAudioHealth, checkReadiness, HealthMonitor } = require('./lib/health');
+const { TempFileSweeper } = require('./lib/sweeper');
+const { GracefulShutdown } = require('./lib/shutdown');
+const { buildReport, renderCsv, renderHtml, REPORT_CSP } = require('./lib/reports');
+const { BackendContractError } = openapi;
 const app = express();
 const PORT = process.env.PORT || 3000;
+const JOB_TTL_MS = parseInt(process.env.JOB_TTL_MS, 10) || 60 * 60 * 1000;
+// Reports carry image thumbnails, so they get more room than other JSON bodies
+const REPORT_MAX_BYTES = parseInt(process.env.REPORT_MAX_BYTES, 10) || 25 * 1024 * 1024;
+
+const upload = multer({ dest: 'uploads/', limits: { fileSize: MAX_UPLOAD_BYTES, files: 3 } });
+const jobStore = new JobStore({ ttlMs: JOB_TTL_MS });
+let auth;
+try {
+  auth = createAuth(
+    process.env.API_KEYS_FILE || path.join(__dirname, 'data', 'api-keys.json'),
+    { allowAnonymous: process.env.AUTH_DISABLED === 'true', seedKey: process.env.API_KEY }
+  );
+} catch (error) {
+  // A configuration problem: say what to fix instead of crashing with a stack trace
+  logger.error(`Cannot start: ${error.message}`);
+  process.exit(1);
+}
+const webhooks = new WebhookDispatcher({
+  secret: process.env.WEBHOOK_SECRET,
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5,
+  baseDelayMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 1000
+});
+const eventHub = new EventHub();
+// Temp files of analyses that were killed before cleaning up after themselves
+const sweeper = new TempFileSweeper({
+  dirs: [path.join(__dirname, 'uploads')],
+  sharedDirs: Object.values(storage.localDirs()),
+  stores: [storage],
+  maxAgeMs: parseInt(process.env.TEMP_FILE_MAX_AGE_MS, 10) || 60 * 60 * 1000,
+  intervalMs: parseInt(process.env.TEMP_SWEEP_INTERVAL_MS, 10) || 10 * 60 * 1000
+});
+const shutdown = new GracefulShutdown({
+  drainMs: parseInt(process.env.SHUTDOWN_DRAIN_MS, 10) || 25000,
+  pending: () => jobStore.activeCount()
+});
+new HealthMonitor({
+  hub: eventHub,
+  intervalMs: parseInt(process.env.HEALTH_POLL_INTERVAL_MS, 10) || 5000
+});
 
-const TEST_IMAGES_DIR = path.join(__dirname, 'test_images');
-const TEST_AUDIO_DIR = path.join(__dirname, 'test_audio');
-const OUTPUT_DIR = path.join(__dirname, 'output');
+app.use(requestIdMiddleware);
+app.use(metrics.requestMetrics);
+app.use(openapi.validateResponses);
+app.use(eventHub.trackUploads);
+
+// Access log
+app.use((req, res, next) => {
+  const startedAt = Date.now();
+  res.on('finish', () => {
+    logger.info('Request completed', {
+      method: req.method,
+      path: req.path,
+      status: res.statusCode,
+      durationMs: Date.now() - startedAt
+    });
+  });
+  next();
+});
 
-const upload = multer({ dest: 'uploads/' });
+// Serve static files from public directory
+app.use(express.static(path.join(__dirname, 'public')));
+app.use('/vendor/swagger-ui', express.static(swaggerUi.getAbsoluteFSPath()));
+
+// Everything except the web UI, status and health checks needs an API key
+app.use(['/analyze', '/analyze-audio', '/analyze-video', '/v1', '/api/jobs', '/api/results', '/api/reports', '/api/policy', '/api/webhooks', '/api/admin'], auth.authenticate);
+app.use(['/api/webhooks', '/api/admin'], auth.requireAdmin);
 
+// JSON bodies are only read once the caller is authenticated, so the larger
+// report limit is not open to anyone
+app.use('/api/reports', express.json({ limit: REPORT_MAX_BYTES }));
 app.use(express.json());
 
-// Serve static files from public directory
-app.use(express.static(path.join(__dirname, 'public')));
+// Path and query parameters are checked against the OpenAPI document
+app.use(openapi.validateRequest);
+
+app.get('/api/openapi.json', (req, res) => {
+  res.json(openapi.spec);
+});
+
+// Prometheus metrics
+app.get('/metrics', async (req, res) => {
+  res.set('Content-Type', metrics.register.contentType);
+  res.send(await metrics.register.metrics());
+});
 
 // API status endpoint
 app.get('/api/status', (req, res) => {
   res.json({ message: 'Network API is running' });
 });
 
+// Liveness and readiness for orchestrators and load balancers, which only
+// look at the HTTP status
+app.get('/healthz', (req, res) => {
+  res.json({ status: 'ok', uptime: process.uptime() });
+});
+
+app.get('/readyz', async (req, res) => {
+  if (shutdown.draining) {
+    return res.status(503).json({ status: 'draining' });
+  }
+  const readiness = await checkReadiness();
+  res.status(readiness.status === 'ready' ? 200 : 503).json(readiness);
+});
+
 // Health check endpoints for models
 app.get('/api/health/image', async (req, res) => {
+  res.json(await checkImageHealth());
+});
+
+app.get('/api/health/audio', async (req, res) => {
+  res.json(await checkAudioHealth());
+});
+
+// Live upload stages and model health as Server-Sent Events. Open to anyone,
+// like the health checks: upload events only go to the stream the upload named.
+app.get('/api/events', (req, res) => {
+  eventHub.subscribe(req, res);
+});
+
+// Webhook callbacks: an optional `callback_url` form field on any submission
+async function checkCallbackUrl(req) {
+  const callbackUrl = req.body?.callback_url;
+  if (!callbackUrl) return null;
+  if (!webhooks.enabled) {
+    return 'Webhook callbacks are disabled because the server has no WEBHOOK_SECRET to sign them with';
+  }
+  return validateCallbackUrl(callbackUrl);
+}
+
+async function rejectCallbackUrl(res, message, ...files) {
+  for (const file of files) {
+    if (file) await removeFile(file.path);
+  }
+  res.status(400).json({ error: 'Invalid callback_url', message });
+}
+
+// Audio segmentation options, checked against the upload itself so that a
+// recording needing too many segments is refused before it is queued.
+// Returns { options } or { error }.
+async function readSegmentOptions(req, file) {
+  const { options, error } = parseSegmentOptions(req.body);
+  if (error) return { error };
   try {
-    const response = await axios.get('http://vision-api:5000/health', { 
-      timeout: 2000 
-    });
-    res.json({ 
-      status: 'ready', 
-      message: 'Image model is ready',
-      details: response.data 
-    });
+    return { options: await checkSegmentation(file, options) };
   } catch (error) {
-    res.json({ 
-      status: 'loading', 
-      message: 'Image model is loading...',
-      error: error.message 
+    if (error instanceof SegmentLimitError) return { error: error.message };
+    throw error;
+  }
+}
+
+function notifyCallback(callbackUrl, modality, file, { result, error, jobId } = {}) {
+  if (!callbackUrl) return;
+
+  const data = {
+    jobId: jobId || null,
+    modality,
+    filename: file.originalname,
+    completedAt: new Date().toISOString()
+  };
+
+  if (result) {
+    webhooks.deliver(callbackUrl, 'analysis.completed', {
+      ...data,
+      ...summarizeResult(modality, result),
+      cached: result.cached === true,
+      result
     });
+  } else {
+    webhooks.deliver(callbackUrl, 'analysis.failed', { ...data, error: error.message });
   }
-});
+}
 
-// Track audio processing state
-let audioProcessingCount = 0;
+app.post('/analyze', shutdown.guardUploads, bindContext(upload.single('image')), openapi.validateForm, validateUpload, auth.enforceQuota, async (req, res) => {
+  const callbackUrl = req.body?.callback_url;
 
-app.get('/api/health/audio', async (req, res) => {
-  // If we're currently processing audio, return busy status
-  if (audioProcessingCount > 0) {
-    res.json({ 
-      status: 'busy', 
-      message: `Audio model is processing (${audioProcessingCount} file${audioProcessingCount > 1 ? 's' : ''})`,
-      processing: true,
-      count: audioProcessingCount
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No image file provided' });
+    }
+
+    const callbackError = await checkCallbackUrl(req);
+    if (callbackError) {
+      return rejectCallbackUrl(res, callbackError, req.file);
+    }
+
+    const parsedResult = await analyzeImage(req.file);
+    notifyCallback(callbackUrl, 'image', req.file, { result: parsedResult });
+    res.json(parsedResult);
+
+  } catch (error) {
+    if (error instanceof CircuitOpenError) {
+      return sendUnavailable(res, error);
+    }
+
+    logger.error('Error processing image', { error });
+    notifyCallback(callbackUrl, 'image', req.file, { error });
+
+    if (error instanceof ResultTimeoutError) {
+      return res.status(504).json({
+        error: 'Image result timeout',
+        message: error.message
+      });
+    }
+    if (error instanceof ResultMalformedError) {
+      return res.status(502).json({
+        error: 'Malformed image result',
+        message: error.message
+      });
+    }
+    if (error instanceof BackendContractError) {
+      return sendContractError(res, error);
+    }
+
+    res.status(500).json({
+      error: 'Failed to process image',
+      message: error.message
     });
-    return;
   }
-  
+});
+
+app.post('/analyze-audio', shutdown.guardUploads, bindContext(upload.single('audio')), openapi.validateForm, validateUpload, auth.enforceQuota, async (req, res) => {
+  const callbackUrl = req.body?.callback_url;
+
   try {
-    const response = await axios.get('http://audio-api:5000/health', { 
-      timeout: 3000  // Increased timeout slightly
-    });
-    res.json({ 
-      status: 'ready', 
-      message: 'Audio model is ready',
-      details: response.data 
-    });
+    if (!req.file) {
+      return res.status(400).json({ error: 'No audio file provided' });
+    }
+
+    const callbackError = await checkCallbackUrl(req);
+    if (callbackError) {
+      return rejectCallbackUrl(res, callbackError, req.file);
+    }
+
+    const { options: segmentation, error: segmentError } = await readSegmentOptions(req, req.file);
+    if (segmentError) {
+      await removeFile(req.file.path);
+      return res.status(400).json({ error: 'Invalid segmentation options', message: segmentError });
+    }
+
+    const parsedResult = await analyzeAudio(req.file, { segmentation });
+    notifyCallback(callbackUrl, 'audio', req.file, { result: parsedResult });
+    res.json(parsedResult);
+
   } catch (error) {
-    // Check if it's a timeout - might mean the server is busy
-    if (error.code === 'ECONNABORTED' || error.message.includes('timeout')) {
-      res.json({ 
-        status: 'busy', 
-        message: 'Audio model may be processing',
-        error: error.message 
+    if (error instanceof QueueFullError) {
+      return sendQueueFull(res, error);
+    }
+    if (error instanceof CircuitOpenError) {
+      return sendUnavailable(res, error);
+    }
+
+    logger.error('Error processing audio', { error });
+    notifyCallback(callbackUrl, 'audio', req.file, { error });
+    
+    if (error instanceof BackendContractError) {
+      return sendContractError(res, error);
+    }
+
+    // Check if it's a timeout error
+    if (isTimeoutError(error)) {
+      res.status(504).json({
+        error: 'Audio processing timeout',
+        message: 'The audio file is taking longer than expected to process. Please try a shorter file or try again later.'
       });
     } else {
-      res.json({ 
-        status: 'loading', 
-        message: 'Audio model is loading...',
-        error: error.message 
+      res.status(500).json({
+        error: 'Failed to process audio',
+        message: error.message
       });
     }
   }
 });
 
-async function waitForFile(filePath, timeoutMs = 60000, intervalMs = 500) {
-  const startTime = Date.now();
+app.post('/analyze-video', shutdown.guardUploads, bindContext(upload.single('video')), openapi.validateForm, validateUpload, auth.enforceQuota, async (req, res) => {
+  const callbackUrl = req.body?.callback_url;
 
-  while (Date.now() - startTime < timeoutMs) {
-    try {
-      await fs.access(filePath);
-      return true;
-    } catch (err) {
-      await new Promise(resolve => setTimeout(resolve, intervalMs));
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No video file provided' });
+    }
+
+    const callbackError = await checkCallbackUrl(req);
+    if (callbackError) {
+      return rejectCallbackUrl(res, callbackError, req.file);
+    }
+
+    const parsedResult = await analyzeVideo(req.file);
+    notifyCallback(callbackUrl, 'video', req.file, { result: parsedResult });
+    res.json(parsedResult);
+
+  } catch (error) {
+    if (error instanceof QueueFullError) {
+      return sendQueueFull(res, error);
+    }
+    if (error instanceof CircuitOpenError) {
+      return sendUnavailable(res, error);
+    }
+
+    logger.error('Error processing video', { error });
+    notifyCallback(callbackUrl, 'video', req.file, { error });
+
+    if (error instanceof BackendContractError) {
+      return sendContractError(res, error);
+    }
+    if (error instanceof ResultTimeoutError || isTimeoutError(error)) {
+      res.status(504).json({
+        error: 'Video processing timeout',
+        message: error.message
+      });
+    } else {
+      res.status(500).json({
+        error: 'Failed to process video',
+        message: error.message
+      });
     }
   }
+});
 
-  throw new Error(`Timeout waiting for file: ${filePath}`);
+// A backend answered, but not in the shape this service relies on
+function sendContractError(res, error) {
+  res.status(502).json({
+    error: 'Unexpected backend result',
+    code: error.code,
+    message: error.message,
+    details: error.details
+  });
 }
 
-app.post('/analyze', upload.single('image'), async (req, res) => {
-  let inputFilePath = null;
-  let outputFilePath = null;
+function sendQueueFull(res, error) {
+  res.set('Retry-After', String(error.retryAfter));
+  res.status(429).json({
+    error: 'Audio queue is full',
+    message: error.message,
+    retryAfter: error.retryAfter
+  });
+}
 
-  try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No image file provided' });
+// A backend's circuit is open; come back once it may have recovered
+function sendUnavailable(res, error) {
+  res.set('Retry-After', String(error.retryAfter));
+  res.status(503).json({
+    error: 'Backend unavailable',
+    code: error.code,
+    message: error.message,
+    retryAfter: error.retryAfter
+  });
+}
+
+// Asynchronous jobs: submit an image, audio or video upload and poll for the result
+const JOB_FIELDS = ['image', 'audio', 'video'].map(name => ({ name, maxCount: 1 }));
+
+// The one file of an upload.fields(JOB_FIELDS) request. Sends a 400 and
+// returns null if there is none, or more than one.
+async function takeSingleUpload(req, res) {
+  const files = JOB_FIELDS.map(({ name }) => req.files?.[name]?.[0]).filter(Boolean);
+
+  if (files.length > 1) {
+    for (const file of files) {
+      await removeFile(file.path);
     }
+    res.status(400).json({ error: 'Provide only one of image, audio or video' });
+    return null;
+  }
+
+  if (files.length === 0) {
+    res.status(400).json({ error: 'No image, audio or video file provided' });
+    return null;
+  }
+  return files[0];
+}
+
+// Jobs read through /v1 carry the normalized result
+// The key whose jobs and history a request may see, or undefined for all of
+// them: admin keys, and everyone when authentication is disabled
+function keyScope(req) {
+  return req.apiKey && !req.apiKey.admin ? req.apiKey.name : undefined;
+}
+
+function serializeJob(req, job) {
+  const body = jobStore.toJSON(job);
+  if (req.path.startsWith('/v1/') && job.result) {
+    body.result = normalizeResult(job.type, job.result, job.analysis);
+  }
+  return body;
+}
 
-    await fs.mkdir(TEST_IMAGES_DIR, { recursive: true });
-    await fs.mkdir(OUTPUT_DIR, { recursive: true });
+app.post(['/api/jobs', '/v1/jobs'], shutdown.guardUploads, bindContext(upload.fields(JOB_FIELDS)), openapi.validateForm, validateUpload, auth.enforceQuota, async (req, res) => {
+  const file = await takeSingleUpload(req, res);
+  if (!file) return;
 
-    const fileExtension = path.extname(req.file.originalname) || '.jpg';
-    const imageId = uuidv4();
-    const fileName = `${imageId}${fileExtension}`;
-    inputFilePath = path.join(TEST_IMAGES_DIR, fileName);
+  const callbackError = await checkCallbackUrl(req);
+  if (callbackError) {
+    return rejectCallbackUrl(res, callbackError, file);
+  }
+
+  // Don't accept work for a backend that is refusing calls
+  try {
+    checkCircuits(file.fieldname);
+  } catch (error) {
+    await removeFile(file.path);
+    return sendUnavailable(res, error);
+  }
+
+  const type = file.fieldname;
+  const callbackUrl = req.body.callback_url;
+  const meta = { filename: file.originalname, size: file.size, callbackUrl: callbackUrl || null };
+  const apiKey = req.apiKey?.name ?? null;
+  let job;
 
-    await fs.copyFile(req.file.path, inputFilePath);
-    await fs.unlink(req.file.path);
+  // Keeps the model versions and timing for the normalized /v1 result
+  const onAnalyzed = job => details => { job.analysis = details; };
 
-    const visionApiResponse = await axios.post('http://vision-api:5000/', {
-      paths: {
-        input: `/app/test_images/${fileName}`,
-        output: '/app/output'
+  // Reports the job's outcome to the callback URL, unless it was cancelled,
+  // and to the event stream
+  const withCallback = analyze => async (job, signal) => {
+    try {
+      const result = await analyze(job, signal);
+      notifyCallback(callbackUrl, type, file, { result, jobId: job.id });
+      reportStage('done', { jobId: job.id });
+      return result;
+    } catch (error) {
+      if (!signal.aborted) {
+        notifyCallback(callbackUrl, type, file, { error, jobId: job.id });
       }
+      reportStage('failed', { jobId: job.id, error: error.message });
+      throw error;
+    }
+  };
+
+  if (type === 'image') {
+    job = jobStore.create(type, withCallback((job, signal) => analyzeImage(file, {
+      signal,
+      onAnalyzed: onAnalyzed(job)
+    })), {
+      cleanup: () => removeFile(file.path),
+      apiKey,
+      meta
     });
+  } else if (type === 'video') {
+    job = jobStore.create(type, withCallback((job, signal) => analyzeVideo(file, {
+      signal,
+      onAnalyzed: onAnalyzed(job)
+    })), {
+      cleanup: () => removeFile(file.path),
+      apiKey,
+      meta
+    });
+  } else {
+    const { options: segmentation, error: segmentError } = await readSegmentOptions(req, file);
+    if (segmentError) {
+      await removeFile(file.path);
+      return res.status(400).json({ error: 'Invalid segmentation options', message: segmentError });
+    }
 
-    if (visionApiResponse.data.status !== 'ok' || !visionApiResponse.data.results?.[0]?.result_path) {
-      throw new Error('Invalid response from vision-api');
+    if (audioQueue.isFull()) {
+      await removeFile(file.path);
+      return sendQueueFull(res, new QueueFullError('audio', audioQueue.retryAfter));
     }
 
-    const resultPath = visionApiResponse.data.results[0].result_path;
-    const outputFileName = path.basename(resultPath);
-    outputFilePath = path.join(OUTPUT_DIR, outputFileName);
+    let entered;
+    const queued = new Promise(resolve => { entered = resolve; });
+    job = jobStore.create(type, withCallback((job, signal) => analyzeAudio(file, {
+      signal,
+      segmentation,
+      onAnalyzed: onAnalyzed(job),
+      onQueued: ticket => {
+        job.queueTicket = ticket;
+        entered();
+      },
+      onStart: () => jobStore.markRunning(job)
+    })), {
+      cleanup: () => removeFile(file.path),
+      apiKey,
+      meta,
+      deferStart: true
+    });
 
-    await waitForFile(outputFilePath);
+    // Answer once the job has its place in the queue, so the response can
+    // report its queuePosition, or once a cached result has finished it
+    await Promise.race([queued, job.settled]);
+  }
 
-    const resultData = await fs.readFile(outputFilePath, 'utf-8');
-    const parsedResult = JSON.parse(resultData);
+  res.status(202)
+    .location(`${req.path}/${job.id}`)
+    .json(serializeJob(req, job));
+});
 
-    await fs.unlink(inputFilePath);
-    await fs.unlink(outputFilePath);
+app.get(['/api/jobs/:id', '/v1/jobs/:id'], (req, res) => {
+  const job = jobStore.get(req.params.id, { apiKey: keyScope(req) });
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(serializeJob(req, job));
+});
 
-    res.json(parsedResult);
+app.delete(['/api/jobs/:id', '/v1/jobs/:id'], async (req, res) => {
+  const job = await jobStore.cancel(req.params.id, { apiKey: keyScope(req) });
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(serializeJob(req, job));
+});
+
+// Versioned API: one upload route and one normalized response shape for
+// every modality. The routes above stay for existing clients.
+const ANALYZERS = {
+  image: analyzeImage,
+  audio: analyzeAudio,
+  video: analyzeVideo
+};
+
+app.post('/v1/analyze', shutdown.guardUploads, bindContext(upload.fields(JOB_FIELDS)), openapi.validateForm, validateUpload, auth.enforceQuota, async (req, res) => {
+  const file = await takeSingleUpload(req, res);
+  if (!file) return;
+
+  const modality = file.fieldname;
+  const callbackUrl = req.body.callback_url;
+  const callbackError = await checkCallbackUrl(req);
+  if (callbackError) {
+    return rejectCallbackUrl(res, callbackError, file);
+  }
+
+  let segmentation = null;
+  if (modality === 'audio') {
+    const parsed = await readSegmentOptions(req, file);
+    if (parsed.error) {
+      await removeFile(file.path);
+      return res.status(400).json({ error: 'Invalid segmentation options', message: parsed.error });
+    }
+    segmentation = parsed.options;
+  }
+
+  let details;
+  try {
+    const result = await ANALYZERS[modality](file, {
+      segmentation,
+      onAnalyzed: value => { details = value; }
+    });
+    notifyCallback(callbackUrl, modality, file, { result });
+    res.json(normalizeResult(modality, result, details));
 
   } catch (error) {
-    if (inputFilePath) {
-      try {
-        await fs.unlink(inputFilePath);
-      } catch {}
+    if (error instanceof QueueFullError) {
+      return sendQueueFull(res, error);
     }
-    if (outputFilePath) {
-      try {
-        await fs.unlink(outputFilePath);
-      } catch {}
+    if (error instanceof CircuitOpenError) {
+      return sendUnavailable(res, error);
+    }
+
+    logger.error('Error processing upload', { modality, error });
+    notifyCallback(callbackUrl, modality, file, { error });
+
+    if (error instanceof ResultTimeoutError || isTimeoutError(error)) {
+      return res.status(504).json({
+        error: 'Result timeout',
+        message: error.message
+      });
+    }
+    if (error instanceof ResultMalformedError) {
+      return res.status(502).json({
+        error: 'Malformed result',
+        message: error.message
+      });
+    }
+    if (error instanceof BackendContractError) {
+      return sendContractError(res, error);
     }
 
-    console.error('Error processing image:', error);
     res.status(500).json({
-      error: 'Failed to process image',
+      error: `Failed to process ${modality}`,
       message: error.message
     });
   }
 });
 
-app.post('/analyze-audio', upload.single('audio'), async (req, res) => {
-  let inputFilePath = null;
-  let inputJsonPath = null;
-  
-  // Increment processing counter
-  audioProcessingCount++;
+// Analysis history
+function parseResultsQuery(query) {
+  const filters = {};
+  const errors = [];
 
-  try {
-    if (!req.file) {
-      audioProcessingCount--;
-      return res.status(400).json({ error: 'No audio file provided' });
+  for (const name of ['from', 'to']) {
+    if (query[name] === undefined) continue;
+    const time = Date.parse(query[name]);
+    if (Number.isNaN(time)) {
+      errors.push(`${name} must be a date`);
+    } else {
+      filters[name] = time;
     }
+  }
 
-    await fs.mkdir(TEST_AUDIO_DIR, { recursive: true });
-    await fs.mkdir(OUTPUT_DIR, { recursive: true });
-
-    const fileExtension = path.extname(req.file.originalname) || '.wav';
-    const audioId = uuidv4();
-    const fileName = `${audioId}${fileExtension}`;
-    inputFilePath = path.join(TEST_AUDIO_DIR, fileName);
+  for (const name of ['minScore', 'maxScore']) {
+    if (query[name] === undefined) continue;
+    const score = Number(query[name]);
+    if (query[name] === '' || Number.isNaN(score)) {
+      errors.push(`${name} must be a number`);
+    } else {
+      filters[name] = score;
+    }
+  }
 
-    await fs.copyFile(req.file.path, inputFilePath);
-    await fs.unlink(req.file.path);
+  for (const name of ['limit', 'offset']) {
+    if (query[name] === undefined) continue;
+    const value = Number(query[name]);
+    if (!Number.isInteger(value) || value < 0) {
+      errors.push(`${name} must be a non-negative integer`);
+    } else {
+      filters[name] = value;
+    }
+  }
 
-    const input_json = {
-      "files": [
-        {"path": `/requests/${fileName}`},
-      ]
+  if (query.modality !== undefined) {
+    if (!['image', 'audio', 'video'].includes(query.modality)) {
+      errors.push('modality must be image, audio or video');
+    } else {
+      filters.modality = query.modality;
     }
-    const inputId = uuidv4();
-    inputJsonPath = path.join(TEST_AUDIO_DIR, `${inputId}.json`);
-    await fs.writeFile(inputJsonPath, JSON.stringify(input_json), 'utf-8');
+  }
 
-    const audioApiResponse = await axios.post('http://audio-api:5000/predict_from_json', {
-      "input_json_path": `/requests/${inputId}.json`,
-      "output_dir": "/results"
-    }, {
-      timeout: 120000  // 120 seconds timeout for audio processing
-    });
+  if (query.decision !== undefined) {
+    filters.decision = String(query.decision).toUpperCase();
+  }
 
-    console.log(util.inspect(audioApiResponse.data, { depth: null }));
+  return { filters, errors };
+}
 
-    if (audioApiResponse.data.status !== 'completed' || !audioApiResponse.data.results?.[0]) {
-      throw new Error('Invalid response from audio-api');
-    }
+app.get('/api/results', async (req, res) => {
+  const { filters, errors } = parseResultsQuery(req.query);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid query', message: errors.join(', ') });
+  }
 
-    const parsedResult = audioApiResponse.data.results[0]
+  try {
+    res.json(await history.query({ ...filters, apiKey: keyScope(req) }));
+  } catch (error) {
+    logger.error('Error querying results', { error });
+    res.status(500).json({ error: 'Failed to query results', message: error.message });
+  }
+});
 
-    await fs.unlink(inputFilePath);
-    await fs.unlink(inputJsonPath);
+app.get('/api/results/:id', async (req, res) => {
+  const record = await history.get(req.params.id);
+  const scope = keyScope(req);
+  if (!record || (scope !== undefined && record.apiKey !== scope)) {
+    return res.status(404).json({ error: 'Result not found' });
+  }
+  res.json(record);
+});
 
-    // Decrement processing counter on success
-    audioProcessingCount--;
-    
-    res.json(parsedResult);
+// A batch of results the caller collected, as CSV or as a self-contained
+// printable HTML page. The body was checked against the spec.
+app.post('/api/reports', (req, res) => {
+  const format = req.query.format || 'html';
+  const report = buildReport(req.body);
+  const timestamp = report.generatedAt.replace(/[:.]/g, '-').slice(0, -5);
 
-  } catch (error) {
-    // Decrement processing counter on error
-    audioProcessingCount--;
-    
-    if (inputFilePath) {
-      try {
-        await fs.unlink(inputFilePath);
-      } catch {}
-    }
-    if (inputJsonPath) {
-      try {
-        await fs.unlink(inputJsonPath);
-      } catch {}
-    }
+  res.attachment(`report-${timestamp}.${format}`);
+  if (format === 'csv') {
+    return res.send(renderCsv(report));
+  }
+  res.set('Content-Security-Policy', REPORT_CSP);
+  res.send(renderHtml(report));
+});
 
-    console.error('Error processing audio:', error);
-    
-    // Check if it's a timeout error
-    if (error.code === 'ECONNABORTED' || error.code === 'ECONNRESET' || error.message.includes('timeout')) {
-      res.status(504).json({
-        error: 'Audio processing timeout',
-        message: 'The audio file is taking longer than expected to process. Please try a shorter file or try again later.'
-      });
-    } else {
-      res.status(500).json({
-        error: 'Failed to process audio',
-        message: error.message
-      });
-    }
+// The thresholds the caller's results are decided by
+app.get('/api/policy', (req, res) => {
+  const { name, version, thresholds } = policies.current();
+  res.json({ name, version, thresholds });
+});
+
+// Webhook delivery log
+app.get('/api/webhooks/deliveries', (req, res) => {
+  res.json({ deliveries: webhooks.list({ status: req.query.status }) });
+});
+
+app.get('/api/webhooks/deliveries/:id', (req, res) => {
+  const delivery = webhooks.get(req.params.id);
+  if (!delivery) {
+    return res.status(404).json({ error: 'Delivery not found' });
   }
+  res.json(delivery);
+});
+
+// API key usage
+app.get('/api/admin/usage', (req, res) => {
+  res.json(auth.usage());
+});
+
+// Result cache administration
+app.get('/api/admin/cache', (req, res) => {
+  res.json(resultCache.stats());
 });
 
-app.listen(PORT, () => {
-  console.log(`Server is running on port ${PORT}`);
+app.delete('/api/admin/cache', (req, res) => {
+  const cleared = resultCache.clear();
+  res.json({ message: 'Result cache cleared', cleared });
+});
+
+// Upload and body parsing errors raised before a route runs
+app.use((error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+    return res.status(tooLarge ? 413 : 400).json({
+      error: tooLarge ? 'File too large' : 'Invalid upload',
+      code: error.code,
+      message: tooLarge ? `Uploads are limited to ${MAX_UPLOAD_BYTES} bytes` : error.message
+    });
+  }
+
+  // JSON bodies express.json() turned away
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json({ error: 'Request body too large', message: `Request bodies are limited to ${error.limit} bytes` });
+  }
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Invalid JSON', message: error.message });
+  }
+
+  logger.error('Unhandled error', { error });
+  res.status(500).json({ error: 'Internal server error', message: error.message });
+});
+
+const server = app.listen(PORT, () => {
+  logger.info(`Server is running on port ${PORT}`, { port: PORT });
+});
+
+sweeper.start();
+shutdown.listen(server);
+
+// Once drained: stop jobs that are still running, close the event streams and
+// remove whatever temp files are left. Only our own files go from the shared
+// volumes or bucket; other instances may still be using theirs.
+shutdown.onShutdown(async ({ drained }) => {
+  if (!drained) {
+    await jobStore.cancelAll();
+  }
+  eventHub.close();
+  sweeper.stop();
+  await sweeper.sweep({ maxAgeMs: 0, ownOnly: true });
 });
@@ -0,0 +1,495 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { v4: uuidv4 } = require('uuid');
+const axios = require('axios');
+const fs = require('fs').promises;
+const path = require('path');
+const { WorkQueue, QueueFullError } = require('./queue');
+const { CircuitBreaker, CircuitOpenError } = require('./breaker');
+const { BackendPool, parseEndpoints } = require('./pool');
+const { ResultTimeoutError } = require('./watcher');
+const { createStorage } = require('./storage');
+const { ResultCache, hashFile } = require('./cache');
+const { HistoryStore } = require('./history');
+const { createPolicies } = require('./policy');
+const { summarizeResult } = require('./results');
+const { logger } = require('./logger');
+const { removeFile } = require('./files');
+const { requestIdHeaders, reportStage, currentApiKey } = require('./context');
+const { probeDuration } = require('./ffmpeg');
+const { validateBackendResult, BackendContractError } = require('./openapi');
+const { planSegments, extractSegment, aggregateSegments, segmentCacheVariant, SegmentLimitError } = require('./segments');
+const { observeAnalysis, observeBackendError, observeDecision, trackQueue, trackBreakers } = require('./metrics');
+
+// Local scratch space, e.g. for audio segments before they are handed off
+const WORK_DIR = path.join(__dirname, '..', 'uploads');
+
+// How long to wait for a backend result, per modality
+const IMAGE_RESULT_TIMEOUT_MS = parseInt(process.env.IMAGE_RESULT_TIMEOUT_MS, 10) || 60000;
+const AUDIO_RESULT_TIMEOUT_MS = parseInt(process.env.AUDIO_RESULT_TIMEOUT_MS, 10) || 120000;
+// Segments of a long recording sent to audio-api per request
+const AUDIO_SEGMENT_BATCH_SIZE = parseInt(process.env.AUDIO_SEGMENT_BATCH_SIZE, 10) || 8;
+
+// How files are handed to the backends: shared volumes or an object store
+const storage = createStorage();
+
+// Repeat submissions of the same bytes to the same model version are served from here
+const resultCache = new ResultCache({
+  ttlMs: parseInt(process.env.RESULT_CACHE_TTL_MS, 10) || 24 * 60 * 60 * 1000,
+  maxEntries: parseInt(process.env.RESULT_CACHE_MAX_ENTRIES, 10) || 1000
+});
+
+// Every completed analysis is recorded here
+const history = new HistoryStore(
+  process.env.HISTORY_FILE || path.join(__dirname, '..', 'data', 'history.jsonl'),
+  {
+    maxRecords: parseInt(process.env.HISTORY_MAX_RECORDS, 10) || 10000,
+    maxAgeMs: parseInt(process.env.HISTORY_MAX_AGE_MS, 10) || 90 * 24 * 60 * 60 * 1000
+  }
+);
+
+// Thresholds that turn a score into ARTIFICIAL, INCONCLUSIVE or AUTHENTIC
+const policies = createPolicies(process.env.POLICY_FILE || path.join(__dirname, '..', 'data', 'policy.json'));
+
+const BACKEND_NAMES = {
+  image: 'vision-api',
+  audio: 'audio-api'
+};
+
+// Replicas of each backend, from comma-separated lists of base URLs
+const pools = {
+  image: new BackendPool(BACKEND_NAMES.image, parseEndpoints(process.env.VISION_API_URLS || 'http://vision-api:5000'), {
+    checkIntervalMs: parseInt(process.env.REPLICA_CHECK_INTERVAL_MS, 10) || 5000
+  }),
+  audio: new BackendPool(BACKEND_NAMES.audio, parseEndpoints(process.env.AUDIO_API_URLS || 'http://audio-api:5000'), {
+    healthTimeoutMs: 3000,
+    checkIntervalMs: parseInt(process.env.REPLICA_CHECK_INTERVAL_MS, 10) || 5000
+  })
+};
+const MODEL_VERSION_TTL_MS = 60000;
+const replicaVersions = new Map();
+
+// Limits how many requests reach audio-api at once
+const audioQueue = new WorkQueue({
+  name: 'audio',
+  // One file per audio-api replica unless configured otherwise
+  concurrency: parseInt(process.env.AUDIO_CONCURRENCY, 10) || pools.audio.size,
+  maxDepth: parseInt(process.env.AUDIO_QUEUE_MAX_DEPTH, 10) || 10,
+  retryAfter: parseInt(process.env.AUDIO_QUEUE_RETRY_AFTER, 10) || 30
+});
+trackQueue(audioQueue);
+
+// One circuit breaker per backend, shared by every call to it
+const breakers = {
+  image: new CircuitBreaker(BACKEND_NAMES.image),
+  audio: new CircuitBreaker(BACKEND_NAMES.audio)
+};
+trackBreakers(Object.values(breakers));
+
+// Throws a CircuitOpenError if a backend that `modality` needs is refusing
+// calls, so submissions can be turned away before any work is done
+function checkCircuits(modality) {
+  const modalities = modality === 'video' ? ['image', 'audio'] : [modality];
+  for (const name of modalities) {
+    if (breakers[name].isOpen()) {
+      throw new CircuitOpenError(breakers[name].backend, breakers[name].retryAfter());
+    }
+  }
+}
+
+function isTimeoutError(error) {
+  return error.code === 'ECONNABORTED' || error.code === 'ECONNRESET' || error.message.includes('timeout');
+}
+
+function isCancelledError(error) {
+  return error.name === 'AbortError' || error.name === 'CanceledError';
+}
+
+// Cleanup of handed-off files must not hide the error that got us there
+async function removeStored(area, name) {
+  if (!name) return;
+  try {
+    await storage.remove(area, name);
+  } catch (error) {
+    logger.warn('Failed to remove stored file', { area, name, error });
+  }
+}
+
+// Model version reported by a replica's /health endpoint, cached for a
+// minute. Replicas of one backend may run different versions mid-rollout.
+async function fetchModelVersion(url) {
+  const cached = replicaVersions.get(url);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.version;
+  }
+
+  try {
+    const response = await axios.get(`${url}/health`, { timeout: 2000 });
+    const details = response.data || {};
+    const version = String(details.model_version || details.version || 'unknown');
+    replicaVersions.set(url, { version, expiresAt: Date.now() + MODEL_VERSION_TTL_MS });
+    return version;
+  } catch {
+    return 'unknown';
+  }
+}
+
+// Model versions by backend name, of the replicas that would be picked next.
+// Videos go through both backends.
+async function getModelVersions(modality) {
+  const modalities = modality === 'video' ? ['image', 'audio'] : [modality];
+  const versions = await Promise.all(modalities.map(name => fetchModelVersion(pools[name].pick().url)));
+  return Object.fromEntries(modalities.map((name, i) => [BACKEND_NAMES[name], versions[i]]));
+}
+
+async function getModelVersion(modality) {
+  return Object.values(await getModelVersions(modality)).join('+');
+}
+
+// Every combination of versions the replicas in rotation run, by backend
+// name: a cached result from any of them may be served
+async function candidateModelVersions(modality) {
+  let candidates = [{}];
+  for (const name of modality === 'video' ? ['image', 'audio'] : [modality]) {
+    const replicas = pools[name].healthy().length > 0 ? pools[name].healthy() : pools[name].replicas;
+    const versions = [...new Set(await Promise.all(replicas.map(replica => fetchModelVersion(replica.url))))];
+    candidates = candidates.flatMap(candidate => versions.map(version => ({ ...candidate, [BACKEND_NAMES[name]]: version })));
+  }
+  return candidates;
+}
+
+// The replicas that served the analysis withCache is running, by modality
+const servingReplicas = new AsyncLocalStorage();
+
+function noteReplica(modality, url) {
+  servingReplicas.getStore()?.[modality].add(url);
+}
+
+// Model versions by backend name of the replicas that served an analysis.
+// Backends it did not call keep their version from `fallback`.
+async function servedModelVersions(served, fallback) {
+  const versions = { ...fallback };
+  for (const [name, urls] of Object.entries(served)) {
+    if (urls.size === 0) continue;
+    const found = new Set(await Promise.all([...urls].map(fetchModelVersion)));
+    versions[BACKEND_NAMES[name]] = [...found].sort().join(',');
+  }
+  return versions;
+}
+
+// Serves a stored result for the same bytes and model version, otherwise runs
+// `analyze` and stores its result. Cached results are marked `cached: true`.
+// Either way the outcome is recorded in the analysis history. A `variant`
+// keeps results of differently configured analyses of the same file apart;
+// `onAnalyzed` receives the model versions and timing of the analysis.
+async function withCache(modality, file, analyze, { variant, onAnalyzed } = {}) {
+  const startedAt = Date.now();
+  let hash;
+  let candidates;
+  try {
+    [hash, candidates] = await Promise.all([hashFile(file.path), candidateModelVersions(modality)]);
+  } catch (error) {
+    await removeFile(file.path);
+    throw error;
+  }
+  const cacheKey = versions => ResultCache.key(variant ? `${modality}:${variant}` : modality, hash, Object.values(versions).join('+'));
+
+  let modelVersions;
+  let result;
+  for (const versions of candidates) {
+    result = resultCache.get(cacheKey(versions));
+    if (result) {
+      modelVersions = versions;
+      break;
+    }
+  }
+
+  if (result) {
+    await removeFile(file.path);
+    result = { ...result, cached: true };
+  } else {
+    // Keyed by the version of the replica that actually served the analysis
+    const served = { image: new Set(), audio: new Set() };
+    try {
+      result = await servingReplicas.run(served, analyze);
+    } catch (error) {
+      if (!(error instanceof QueueFullError) && !(error instanceof CircuitOpenError) && !(error instanceof SegmentLimitError) && !isCancelledError(error)) {
+        const timedOut = error instanceof ResultTimeoutError || isTimeoutError(error);
+        const kind = timedOut ? 'timeout' : error instanceof BackendContractError ? 'contract' : 'error';
+        observeBackendError(modality, kind);
+      }
+      throw error;
+    }
+    modelVersions = await servedModelVersions(served, candidates[0]);
+    observeAnalysis(modality, { size: file.size, durationMs: Date.now() - startedAt });
+    resultCache.set(cacheKey(modelVersions), result);
+  }
+
+  // The cache keeps the backend's verdict; the caller's policy decides on top of it
+  result = {
+    ...policies.applyToParts(modality, result),
+    policy: policies.apply(modality, summarizeResult(modality, result))
+  };
+
+  const summary = summarizeResult(modality, result);
+  observeDecision(modality, summary.decision);
+  reportStage('result_ready', { ...summary, cached: result.cached === true });
+
+  const completedAt = Date.now();
+  onAnalyzed?.({
+    modelVersions,
+    startedAt: new Date(startedAt).toISOString(),
+    completedAt: new Date(completedAt).toISOString(),
+    durationMs: completedAt - startedAt
+  });
+
+  try {
+    await history.record({
+      filename: file.originalname,
+      size: file.size,
+      hash,
+      modality,
+      ...summary,
+      cached: result.cached === true,
+      durationMs: completedAt - startedAt,
+      modelVersion: Object.values(modelVersions).join('+'),
+      policy: { name: result.policy.name, version: result.policy.version },
+      // Non-admin keys only see their own history
+      apiKey: currentApiKey()?.name || null,
+      result
+    });
+  } catch (error) {
+    logger.error('Failed to record analysis history', { error });
+  }
+
+  return result;
+}
+
+// Runs a multer upload through vision-api. The uploaded temp file is consumed.
+function analyzeImage(file, { signal, onAnalyzed } = {}) {
+  return withCache('image', file, () => runImageAnalysis(file, signal), { onAnalyzed });
+}
+
+async function runImageAnalysis(file, signal) {
+  let inputName = null;
+  let outputName = null;
+
+  try {
+    const fileExtension = file.detected?.ext || '.jpg';
+    const imageId = uuidv4();
+    const fileName = `${imageId}${fileExtension}`;
+
+    await storage.put('test_images', fileName, file.path);
+    inputName = fileName;
+    const output = await storage.outputFor(`${fileName}.json`);
+
+    reportStage('sent_to_model', { backend: BACKEND_NAMES.image });
+    const visionApiResponse = await breakers.image.call(() => pools.image.use(async url => {
+      const response = await axios.post(`${url}/`, {
+        paths: {
+          input: await storage.ref('test_images', fileName),
+          output: output.target
+        }
+      }, { signal, headers: requestIdHeaders() });
+      noteReplica('image', url);
+      return response;
+    }), signal);
+
+    if (visionApiResponse.data.status !== 'ok' || !visionApiResponse.data.results?.[0]?.result_path) {
+      throw new Error('Invalid response from vision-api');
+    }
+
+    outputName = output.name || path.basename(visionApiResponse.data.results[0].result_path);
+
+    const parsedResult = await storage.waitForResult(outputName, {
+      timeoutMs: IMAGE_RESULT_TIMEOUT_MS,
+      signal
+    });
+    validateBackendResult('image', parsedResult);
+
+    return parsedResult;
+  } finally {
+    await removeFile(file.path);
+    await removeStored('test_images', inputName);
+    await removeStored('output', outputName);
+  }
+}
+
+// Queues a multer upload for audio-api. The uploaded temp file is consumed.
+// Throws a QueueFullError without queueing when the audio queue is full.
+// With `segmentation` the recording is split into overlapping windows.
+function analyzeAudio(file, options = {}) {
+  const variant = options.segmentation ? segmentCacheVariant(options.segmentation) : undefined;
+  return withCache('audio', file, () => queueAudioAnalysis(file, options), {
+    variant,
+    onAnalyzed: options.onAnalyzed
+  });
+}
+
+// Runs a file through audio-api via the audio queue, bypassing the cache
+async function queueAudioAnalysis(file, { signal, onQueued, onStart, segmentation } = {}) {
+  try {
+    const ticket = audioQueue.enqueue(() => runAudioAnalysis(file, signal, segmentation), { signal, onStart });
+    onQueued?.(ticket);
+    reportStage('queued', { position: ticket.position() });
+    return await ticket.promise;
+  } catch (error) {
+    await removeFile(file.path);
+    throw error;
+  }
+}
+
+async function runAudioAnalysis(file, signal, segmentation) {
+  let inputName = null;
+
+  try {
+    const fileExtension = file.detected?.ext || '.wav';
+    const audioId = uuidv4();
+    const fileName = `${audioId}${fileExtension}`;
+
+    if (segmentation) {
+      const { duration, segments } = segmentation.plan || await planAudioSegments(file.path, segmentation, signal);
+      if (segments) {
+        return await runSegmentedAnalysis(file.path, audioId, duration, segments, segmentation, signal);
+      }
+    }
+
+    await storage.put('audio-requests', fileName, file.path);
+    inputName = fileName;
+
+    const [parsedResult] = await predictAudioFiles([fileName], signal);
+    return parsedResult;
+  } finally {
+    await removeFile(file.path);
+    await removeStored('audio-requests', inputName);
+  }
+}
+
+// The recording's duration and the windows it is cut into
+async function planAudioSegments(filePath, segmentation, signal) {
+  const duration = await probeDuration(filePath, signal);
+  return { duration, segments: planSegments(duration, segmentation) };
+}
+
+// Plans the segments of an upload before it is queued, so one that would need
+// too many is refused up front with a SegmentLimitError. The plan is kept in
+// the returned options. A recording ffprobe cannot read is left to fail in
+// the queue as before.
+async function checkSegmentation(file, segmentation) {
+  if (!segmentation) return segmentation;
+  let plan;
+  try {
+    plan = await planAudioSegments(file.path, segmentation);
+  } catch (error) {
+    if (error instanceof SegmentLimitError) throw error;
+    return segmentation;
+  }
+  return { ...segmentation, plan };
+}
+
+// Cuts the recording into windows in WORK_DIR, hands them off and sends them
+// to audio-api in batches
+async function runSegmentedAnalysis(inputFilePath, audioId, duration, segments, segmentation, signal) {
+  const segmentFiles = [];
+
+  try {
+    await fs.mkdir(WORK_DIR, { recursive: true });
+    for (const segment of segments) {
+      const fileName = `${audioId}-segment-${segment.index}.wav`;
+      const segmentPath = path.join(WORK_DIR, fileName);
+      try {
+        await extractSegment(inputFilePath, segment, segmentPath, signal);
+        await storage.put('audio-requests', fileName, segmentPath);
+      } finally {
+        await removeFile(segmentPath);
+      }
+      segmentFiles.push(fileName);
+    }
+
+    const results = [];
+    for (let i = 0; i < segmentFiles.length; i += AUDIO_SEGMENT_BATCH_SIZE) {
+      results.push(...await predictAudioFiles(segmentFiles.slice(i, i + AUDIO_SEGMENT_BATCH_SIZE), signal));
+    }
+
+    const segmentResults = segments.map((segment, i) => ({
+      ...segment,
+      ...summarizeResult('audio', results[i]),
+      result: results[i]
+    }));
+
+    return {
+      duration,
+      windowSeconds: segmentation.windowSeconds,
+      overlapSeconds: segmentation.overlapSeconds,
+      segments: segmentResults,
+      aggregate: aggregateSegments(segmentResults)
+    };
+  } finally {
+    for (const fileName of segmentFiles) {
+      await removeStored('audio-requests', fileName);
+    }
+  }
+}
+
+// Sends files already in storage to audio-api as one input JSON and returns
+// their results in the same order
+async function predictAudioFiles(fileNames, signal) {
+  let inputJsonName = null;
+
+  try {
+    const input_json = {
+      "files": await Promise.all(fileNames.map(async fileName => ({"path": await storage.ref('audio-requests', fileName)})))
+    }
+    const inputId = uuidv4();
+    await storage.putJson('audio-requests', `${inputId}.json`, input_json);
+    inputJsonName = `${inputId}.json`;
+
+    reportStage('sent_to_model', { backend: BACKEND_NAMES.audio });
+    const audioApiResponse = await breakers.audio.call(() => pools.audio.use(async url => {
+      const response = await axios.post(`${url}/predict_from_json`, {
+        "input_json_path": await storage.ref('audio-requests', inputJsonName),
+        // Not needed with the s3 driver: results come back in the response
+        "output_dir": storage.audioOutput ?? undefined
+      }, {
+        timeout: AUDIO_RESULT_TIMEOUT_MS,
+        signal,
+        headers: requestIdHeaders()
+      });
+      noteReplica('audio', url);
+      return response;
+    }), signal);
+
+    logger.debug('audio-api response', { response: audioApiResponse.data });
+
+    const results = audioApiResponse.data.results;
+    if (audioApiResponse.data.status !== 'completed' || !Array.isArray(results) ||
+        results.length < fileNames.length || results.slice(0, fileNames.length).some(result => !result)) {
+      throw new Error('Invalid response from audio-api');
+    }
+
+    const fileResults = results.slice(0, fileNames.length);
+    fileResults.forEach(result => validateBackendResult('audio', result));
+    return fileResults;
+  } finally {
+    await removeStored('audio-requests', inputJsonName);
+  }
+}
+
+module.exports = {
+  analyzeImage,
+  analyzeAudio,
+  runImageAnalysis,
+  queueAudioAnalysis,
+  checkSegmentation,
+  withCache,
+  audioQueue,
+  breakers,
+  pools,
+  policies,
+  checkCircuits,
+  resultCache,
+  history,
+  getModelVersion,
+  getModelVersions,
+  storage,
+  isTimeoutError
+};
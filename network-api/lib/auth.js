@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { removeFile } = require('./files');
+const { requestContext } = require('./context');
+const { logger } = require('./logger');
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function secondsUntilTomorrow() {
+  const now = new Date();
+  const tomorrow = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.ceil((tomorrow - now.getTime()) / 1000);
+}
+
+function uploadedFiles(req) {
+  if (req.file) return [req.file];
+  return Object.values(req.files || {}).flat();
+}
+
+// Loads API keys from a JSON file of the form
+//   { "keys": [{ "key": "...", "name": "ingest", "rateLimitPerMinute": 60,
+//                "dailyQuotaFiles": 1000, "dailyQuotaBytes": 1073741824,
+//                "admin": false, "disabled": false }] }
+// Limits that are left out are not enforced.
+function loadApiKeys(filePath) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return new Map();
+    throw new Error(`Unable to read API keys from ${filePath}: ${error.message}`);
+  }
+
+  const keys = new Map();
+  for (const entry of config.keys || []) {
+    if (!entry.key) continue;
+    keys.set(hashKey(entry.key), toApiKey(entry));
+  }
+  return keys;
+}
+
+function toApiKey(entry) {
+  return {
+    name: entry.name || `${entry.key.slice(0, 6)}...`,
+    rateLimitPerMinute: entry.rateLimitPerMinute ?? null,
+    dailyQuotaFiles: entry.dailyQuotaFiles ?? null,
+    dailyQuotaBytes: entry.dailyQuotaBytes ?? null,
+    admin: entry.admin === true,
+    disabled: entry.disabled === true,
+    usage: {
+      window: 0,
+      windowRequests: 0,
+      day: today(),
+      files: 0,
+      bytes: 0,
+      totalRequests: 0
+    }
+  };
+}
+
+// `seedKey` (the API_KEY variable) adds an admin key named "default" to those
+// in the file. Without any keys the server refuses to start, unless
+// `allowAnonymous` (the AUTH_DISABLED flag) opts in to letting every request
+// through. Admin routes stay closed then, as there is no admin key to open them.
+function createAuth(filePath, { allowAnonymous = false, seedKey } = {}) {
+  const keys = loadApiKeys(filePath);
+  if (seedKey) {
+    keys.set(hashKey(seedKey), toApiKey({ key: seedKey, name: 'default', admin: true }));
+  }
+  const enabled = keys.size > 0;
+
+  if (!enabled && !allowAnonymous) {
+    throw new Error(`No API keys configured in ${filePath}. Add keys, set API_KEY, or set AUTH_DISABLED=true to run without authentication.`);
+  }
+  if (!enabled) {
+    logger.warn('No API keys configured and AUTH_DISABLED is set, authentication is disabled', { file: filePath });
+  }
+
+  function rollDay(apiKey) {
+    if (apiKey.usage.day !== today()) {
+      apiKey.usage.day = today();
+      apiKey.usage.files = 0;
+      apiKey.usage.bytes = 0;
+    }
+  }
+
+  // Resolves the Authorization header to a key and applies its rate limit
+  function authenticate(req, res, next) {
+    if (!enabled) return next();
+
+    const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+    const apiKey = match && keys.get(hashKey(match[1].trim()));
+
+    if (!apiKey) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: match ? 'Unknown API key' : 'Missing API key. Send it as "Authorization: Bearer <key>".'
+      });
+    }
+
+    if (apiKey.disabled) {
+      return res.status(403).json({ error: 'Forbidden', message: 'This API key has been disabled' });
+    }
+
+    const window = Math.floor(Date.now() / 60000);
+    if (apiKey.usage.window !== window) {
+      apiKey.usage.window = window;
+      apiKey.usage.windowRequests = 0;
+    }
+
+    if (apiKey.rateLimitPerMinute !== null && apiKey.usage.windowRequests >= apiKey.rateLimitPerMinute) {
+      const retryAfter = Math.ceil(((window + 1) * 60000 - Date.now()) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: 'Rate limit exceeded',
+        message: `This API key is limited to ${apiKey.rateLimitPerMinute} requests per minute`,
+        retryAfter
+      });
+    }
+
+    apiKey.usage.windowRequests++;
+    apiKey.usage.totalRequests++;
+    req.apiKey = apiKey;
+    const store = requestContext.getStore();
+    if (store) store.apiKey = apiKey;
+    next();
+  }
+
+  function requireAdmin(req, res, next) {
+    if (req.apiKey?.admin) return next();
+    res.status(403).json({
+      error: 'Forbidden',
+      message: enabled
+        ? 'This endpoint requires an admin API key'
+        : 'This endpoint requires an admin API key, and authentication is disabled'
+    });
+  }
+
+  // Runs after the upload has been received and charges it to the key's daily quota
+  async function enforceQuota(req, res, next) {
+    const apiKey = req.apiKey;
+    if (!apiKey) return next();
+
+    rollDay(apiKey);
+
+    const files = uploadedFiles(req);
+    const bytes = files.reduce((total, file) => total + file.size, 0);
+
+    const overFiles = apiKey.dailyQuotaFiles !== null && apiKey.usage.files + files.length > apiKey.dailyQuotaFiles;
+    const overBytes = apiKey.dailyQuotaBytes !== null && apiKey.usage.bytes + bytes > apiKey.dailyQuotaBytes;
+
+    if (overFiles || overBytes) {
+      for (const file of files) {
+        await removeFile(file.path);
+      }
+      const retryAfter = secondsUntilTomorrow();
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: 'Daily quota exceeded',
+        message: overFiles
+          ? `This API key is limited to ${apiKey.dailyQuotaFiles} files per day`
+          : `This API key is limited to ${apiKey.dailyQuotaBytes} bytes per day`,
+        retryAfter
+      });
+    }
+
+    apiKey.usage.files += files.length;
+    apiKey.usage.bytes += bytes;
+    next();
+  }
+
+  function usage() {
+    return {
+      enabled,
+      keys: Array.from(keys.values()).map(apiKey => {
+        rollDay(apiKey);
+        const window = Math.floor(Date.now() / 60000);
+        return {
+          name: apiKey.name,
+          admin: apiKey.admin,
+          disabled: apiKey.disabled,
+          totalRequests: apiKey.usage.totalRequests,
+          requestsThisMinute: apiKey.usage.window === window ? apiKey.usage.windowRequests : 0,
+          rateLimitPerMinute: apiKey.rateLimitPerMinute,
+          today: {
+            date: apiKey.usage.day,
+            files: apiKey.usage.files,
+            bytes: apiKey.usage.bytes
+          },
+          dailyQuotaFiles: apiKey.dailyQuotaFiles,
+          dailyQuotaBytes: apiKey.dailyQuotaBytes
+        };
+      })
+    };
+  }
+
+  return { enabled, authenticate, requireAdmin, enforceQuota, usage };
+}
+
+module.exports = { createAuth };
@@ -0,0 +1,173 @@
+const { EventEmitter } = require('events');
+const { logger } = require('./logger');
+
+const FAILURE_THRESHOLD = parseInt(process.env.BREAKER_FAILURE_THRESHOLD, 10) || 5;
+const RESET_MS = parseInt(process.env.BREAKER_RESET_MS, 10) || 30000;
+const RETRY_ATTEMPTS = process.env.BACKEND_RETRY_ATTEMPTS !== undefined
+  ? parseInt(process.env.BACKEND_RETRY_ATTEMPTS, 10)
+  : 2;
+const RETRY_BASE_MS = parseInt(process.env.BACKEND_RETRY_BASE_MS, 10) || 250;
+
+// The request never got an answer: the backend is down, restarting or
+// dropped the connection
+const CONNECTION_ERRORS = ['ECONNREFUSED', 'ECONNRESET', 'EPIPE', 'EHOSTUNREACH', 'ENOTFOUND', 'EAI_AGAIN', 'ETIMEDOUT'];
+
+class CircuitOpenError extends Error {
+  constructor(backend, retryAfter) {
+    super(`${backend} is unavailable. Please try again later.`);
+    this.name = 'CircuitOpenError';
+    this.code = 'BACKEND_UNAVAILABLE';
+    this.status = 503;
+    this.backend = backend;
+    this.retryAfter = retryAfter;
+  }
+}
+
+function isConnectionError(error) {
+  return CONNECTION_ERRORS.includes(error.code);
+}
+
+// What counts against a backend: it could not be reached or answered with a 5xx
+function isBackendFailure(error) {
+  return isConnectionError(error) || error.response?.status >= 500;
+}
+
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Guards the calls to one backend. While closed, calls go through, connection
+// errors are retried with jittered exponential backoff and `failureThreshold`
+// failed calls in a row open the circuit. While open, calls fail fast with a
+// CircuitOpenError. Once `resetMs` has passed the circuit is half-open: one
+// trial call, without retries, closes it again or reopens it. Emits 'change'
+// with status() on every transition.
+class CircuitBreaker extends EventEmitter {
+  constructor(backend, {
+    failureThreshold = FAILURE_THRESHOLD,
+    resetMs = RESET_MS,
+    retries = RETRY_ATTEMPTS,
+    retryBaseMs = RETRY_BASE_MS
+  } = {}) {
+    super();
+    this.backend = backend;
+    this.failureThreshold = failureThreshold;
+    this.resetMs = resetMs;
+    this.retries = retries;
+    this.retryBaseMs = retryBaseMs;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  // Whether calls are currently being refused
+  isOpen() {
+    return this.state === 'open' && Date.now() < this.openedAt + this.resetMs;
+  }
+
+  // Seconds until the circuit lets a trial call through
+  retryAfter() {
+    if (this.state !== 'open') return null;
+    return Math.max(1, Math.ceil((this.openedAt + this.resetMs - Date.now()) / 1000));
+  }
+
+  status() {
+    return {
+      state: this.isOpen() || this.state !== 'open' ? this.state : 'half_open',
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAfter: this.isOpen() ? this.retryAfter() : null
+    };
+  }
+
+  async call(fn, signal) {
+    if (this.isOpen()) {
+      throw new CircuitOpenError(this.backend, this.retryAfter());
+    }
+    if (this.state === 'open') {
+      this.transition('half_open');
+    }
+
+    const trial = this.state === 'half_open';
+    if (trial) {
+      // Everyone else waits for the trial call to decide
+      if (this.trialInFlight) {
+        throw new CircuitOpenError(this.backend, Math.max(1, Math.ceil(this.retryBaseMs / 1000)));
+      }
+      this.trialInFlight = true;
+    }
+
+    try {
+      const result = await this.attempt(fn, signal, trial ? 0 : this.retries);
+      this.recordSuccess();
+      return result;
+    } catch (error) {
+      if (isBackendFailure(error) && !signal?.aborted) {
+        this.recordFailure(error);
+      }
+      throw error;
+    } finally {
+      if (trial) this.trialInFlight = false;
+    }
+  }
+
+  async attempt(fn, signal, retries) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await fn();
+      } catch (error) {
+        if (attempt >= retries || !isConnectionError(error) || signal?.aborted || this.isOpen()) {
+          throw error;
+        }
+        // Full jitter keeps callers that failed together from retrying together
+        const delayMs = Math.round(Math.random() * this.retryBaseMs * 2 ** attempt);
+        logger.warn('Retrying backend request', {
+          backend: this.backend,
+          attempt: attempt + 1,
+          delayMs,
+          error: error.message
+        });
+        await delay(delayMs, signal);
+      }
+    }
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+    if (this.state !== 'closed') {
+      this.openedAt = null;
+      this.transition('closed');
+    }
+  }
+
+  recordFailure(error) {
+    this.failures++;
+    if (this.state === 'half_open' || (this.state === 'closed' && this.failures >= this.failureThreshold)) {
+      this.openedAt = Date.now();
+      logger.warn('Circuit opened', { backend: this.backend, failures: this.failures, error: error.message });
+      this.transition('open');
+    }
+  }
+
+  transition(state) {
+    this.state = state;
+    if (state !== 'open') {
+      logger.info(`Circuit ${state.replace('_', '-')}`, { backend: this.backend });
+    }
+    this.emit('change', this.status());
+  }
+}
+
+module.exports = { CircuitBreaker, CircuitOpenError, isConnectionError };
@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// SHA-256 of a file on disk, as hex
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+// In-memory result cache with a TTL and a maximum number of entries.
+// The oldest entry is evicted first once the cache is full.
+class ResultCache {
+  constructor({ ttlMs = 24 * 60 * 60 * 1000, maxEntries = 1000 } = {}) {
+    this.ttlMs = ttlMs;
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  static key(modality, hash, modelVersion) {
+    return `${modality}:${modelVersion}:${hash}`;
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry || entry.expiresAt <= Date.now()) {
+      if (entry) this.entries.delete(key);
+      this.misses++;
+      return null;
+    }
+    this.hits++;
+    return entry.value;
+  }
+
+  set(key, value) {
+    if (this.maxEntries <= 0) return;
+
+    this.entries.delete(key);
+    while (this.entries.size >= this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    this.entries.set(key, { value, expiresAt: Date.now() + this.ttlMs });
+  }
+
+  clear() {
+    const cleared = this.entries.size;
+    this.entries.clear();
+    return cleared;
+  }
+
+  stats() {
+    return {
+      entries: this.entries.size,
+      maxEntries: this.maxEntries,
+      ttlMs: this.ttlMs,
+      hits: this.hits,
+      misses: this.misses
+    };
+  }
+}
+
+module.exports = { ResultCache, hashFile };
@@ -0,0 +1,57 @@
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+const { v4: uuidv4 } = require('uuid');
+
+const requestContext = new AsyncLocalStorage();
+
+// Incoming ids are passed through when they look sane, otherwise replaced
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+function currentRequestId() {
+  return requestContext.getStore()?.requestId || null;
+}
+
+// The API key the request was made with, once auth has resolved it
+function currentApiKey() {
+  return requestContext.getStore()?.apiKey || null;
+}
+
+// Headers to forward the current request id to a backend
+function requestIdHeaders() {
+  const requestId = currentRequestId();
+  return requestId ? { 'X-Request-Id': requestId } : {};
+}
+
+// Reports an upload stage (received, queued, sent_to_model, result_ready,
+// done or failed) to the event stream the request asked for, if any
+function reportStage(stage, details) {
+  requestContext.getStore()?.reportStage?.(stage, details);
+}
+
+// Multer calls next() from stream callbacks that run outside the request's
+// context; this puts the rest of the chain back inside it
+function bindContext(middleware) {
+  return (req, res, next) => middleware(req, res, AsyncResource.bind(next));
+}
+
+// Assigns every request an X-Request-Id and makes it available to all code
+// running on behalf of the request, including jobs and queued work. Error
+// response bodies carry the id too so clients can quote it.
+function requestIdMiddleware(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : uuidv4();
+
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  const json = res.json.bind(res);
+  res.json = body => {
+    if (res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body)) {
+      body = { ...body, requestId };
+    }
+    return json(body);
+  };
+
+  requestContext.run({ requestId }, next);
+}
+
+module.exports = { requestContext, currentRequestId, currentApiKey, requestIdHeaders, requestIdMiddleware, reportStage, bindContext };
@@ -0,0 +1,104 @@
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+const { requestContext } = require('./context');
+
+const HEARTBEAT_MS = 15000;
+const UPLOAD_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Server-Sent Events. Every subscriber gets a stream id in its first 'ready'
+// event; uploads that name it in X-Stream-Id have their stages sent to that
+// stream only. Health changes go to everyone. Emits 'subscribe' and 'unsubscribe'.
+class EventHub extends EventEmitter {
+  constructor({ heartbeatMs = HEARTBEAT_MS } = {}) {
+    super();
+    this.heartbeatMs = heartbeatMs;
+    this.streams = new Map();
+    this.nextEventId = 1;
+    this.trackUploads = this.trackUploads.bind(this);
+  }
+
+  get size() {
+    return this.streams.size;
+  }
+
+  subscribe(req, res) {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      // Stops nginx and similar proxies from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const stream = { id: uuidv4(), res };
+    this.streams.set(stream.id, stream);
+
+    // Comments keep idle connections from being closed by proxies
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), this.heartbeatMs);
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      this.streams.delete(stream.id);
+      this.emit('unsubscribe', stream);
+    });
+
+    this.send(stream, 'ready', { streamId: stream.id });
+    this.emit('subscribe', stream);
+  }
+
+  // Ends every stream; clients will try to reconnect
+  close() {
+    for (const stream of this.streams.values()) {
+      stream.res.end();
+    }
+  }
+
+  send(stream, event, data) {
+    stream.res.write(`id: ${this.nextEventId++}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  sendTo(streamId, event, data) {
+    const stream = this.streams.get(streamId);
+    if (stream) this.send(stream, event, data);
+  }
+
+  broadcast(event, data) {
+    for (const stream of this.streams.values()) {
+      this.send(stream, event, data);
+    }
+  }
+
+  // Middleware: when a request names a live stream in X-Stream-Id, stages
+  // reported while handling it (see reportStage) are sent there as 'upload'
+  // events tagged with X-Upload-Id. The response itself ends the upload with
+  // 'done' or 'failed', except for jobs, which report when they finish.
+  trackUploads(req, res, next) {
+    const streamId = req.get('X-Stream-Id');
+    const store = requestContext.getStore();
+    if (!streamId || !this.streams.has(streamId) || !store) return next();
+
+    const incoming = req.get('X-Upload-Id');
+    const uploadId = incoming && UPLOAD_ID_PATTERN.test(incoming) ? incoming : req.id;
+    let lastStage = null;
+
+    store.reportStage = (stage, details = {}) => {
+      if (stage === lastStage) return;
+      lastStage = stage;
+      this.sendTo(streamId, 'upload', {
+        uploadId,
+        requestId: req.id,
+        stage,
+        at: new Date().toISOString(),
+        ...details
+      });
+    };
+
+    res.on('finish', () => {
+      if (res.statusCode === 202) return;
+      store.reportStage(res.statusCode < 400 ? 'done' : 'failed', { status: res.statusCode });
+    });
+    next();
+  }
+}
+
+module.exports = { EventHub };
@@ -0,0 +1,55 @@
+const { spawn } = require('child_process');
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+
+// Runs a binary to completion and resolves with its stdout
+function run(binary, args, signal) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(binary, args, { signal });
+    let stdout = '';
+    let stderr = '';
+
+    child.stdout.on('data', chunk => {
+      stdout += chunk;
+    });
+    child.stderr.on('data', chunk => {
+      stderr = (stderr + chunk).slice(-4000);
+    });
+    child.on('error', error => {
+      if (error.code === 'ENOENT') {
+        reject(new Error(`Unable to run ${binary}: ffmpeg is not installed`));
+      } else {
+        reject(error);
+      }
+    });
+    child.on('close', code => {
+      if (code === 0) return resolve(stdout);
+      const error = new Error(`${binary} exited with code ${code}: ${stderr.trim()}`);
+      error.noStream = /matches no streams|does not contain any stream/i.test(stderr);
+      reject(error);
+    });
+  });
+}
+
+function runFfmpeg(args, signal) {
+  return run(FFMPEG_PATH, ['-hide_banner', '-loglevel', 'error', '-y', ...args], signal);
+}
+
+// Duration of a media file in seconds
+async function probeDuration(filePath, signal) {
+  const output = await run(FFPROBE_PATH, [
+    '-v', 'error',
+    '-show_entries', 'format=duration',
+    '-of', 'default=noprint_wrappers=1:nokey=1',
+    filePath
+  ], signal);
+
+  const duration = parseFloat(output.trim());
+  if (!Number.isFinite(duration)) {
+    throw new Error(`Unable to read the duration of ${filePath}`);
+  }
+  return duration;
+}
+
+module.exports = { runFfmpeg, probeDuration };
@@ -0,0 +1,11 @@
+const fs = require('fs').promises;
+
+// Deletes a temp file; one that is already gone is fine
+async function removeFile(filePath) {
+  if (!filePath) return;
+  try {
+    await fs.unlink(filePath);
+  } catch {}
+}
+
+module.exports = { removeFile };
@@ -0,0 +1,223 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { audioQueue, breakers, pools, storage } = require('./analysis');
+
+const READY_MIN_FREE_BYTES = parseInt(process.env.READY_MIN_FREE_BYTES, 10) || 512 * 1024 * 1024;
+
+// While a backend's circuit is open requests to it fail fast, so it is
+// reported as unavailable whatever its /health says
+function circuitOpenHealth(name, breaker) {
+  return {
+    status: 'unavailable',
+    message: `${name} model is unavailable (retrying in ${breaker.retryAfter()}s)`,
+    circuit: breaker.status()
+  };
+}
+
+// Replica counts, when there is more than one
+function replicaSummary(pool) {
+  return pool.size > 1 ? ` (${pool.healthy().length}/${pool.size} replicas)` : '';
+}
+
+// Error of the first replica that is out of rotation
+function replicaError(pool) {
+  return pool.replicas.find(replica => !replica.healthy)?.error;
+}
+
+async function checkImageHealth() {
+  const breaker = breakers.image;
+  const pool = pools.image;
+  if (breaker.isOpen()) {
+    return { ...circuitOpenHealth('Image', breaker), replicas: pool.status() };
+  }
+
+  await pool.checkAll();
+  const healthy = pool.healthy();
+  if (healthy.length > 0) {
+    return { 
+      status: 'ready', 
+      message: `Image model is ready${replicaSummary(pool)}`,
+      details: healthy[0].details,
+      circuit: breaker.status(),
+      replicas: pool.status()
+    };
+  }
+  return { 
+    status: 'loading', 
+    message: 'Image model is loading...',
+    error: replicaError(pool),
+    circuit: breaker.status(),
+    replicas: pool.status()
+  };
+}
+
+async function checkAudioHealth() {
+  const breaker = breakers.audio;
+  const pool = pools.audio;
+  if (breaker.isOpen()) {
+    return { ...circuitOpenHealth('Audio', breaker), queue: audioQueue.stats(), replicas: pool.status() };
+  }
+
+  // If we're currently processing audio, return busy status
+  const queue = audioQueue.stats();
+  if (queue.running > 0) {
+    return { 
+      status: 'busy', 
+      message: `Audio model is processing (${queue.running} file${queue.running > 1 ? 's' : ''}` +
+        `${queue.queued > 0 ? `, ${queue.queued} queued` : ''})`,
+      processing: true,
+      count: queue.running,
+      queue,
+      circuit: breaker.status(),
+      replicas: pool.status()
+    };
+  }
+
+  await pool.checkAll();
+  const healthy = pool.healthy();
+  if (healthy.length > 0) {
+    return { 
+      status: 'ready', 
+      message: `Audio model is ready${replicaSummary(pool)}`,
+      details: healthy[0].details,
+      queue,
+      circuit: breaker.status(),
+      replicas: pool.status()
+    };
+  }
+  return { 
+    status: 'loading', 
+    message: 'Audio model is loading...',
+    error: replicaError(pool),
+    queue,
+    circuit: breaker.status(),
+    replicas: pool.status()
+  };
+}
+
+// A backend is usable when it answers, even if it is busy
+function backendReadiness(health) {
+  return {
+    ok: health.status === 'ready' || health.status === 'busy',
+    status: health.status,
+    message: health.message
+  };
+}
+
+// A shared volume has to take a file and have room for more
+async function volumeReadiness(dir) {
+  const probe = path.join(dir, `.readyz-${uuidv4()}`);
+  try {
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(probe, '');
+    await fs.rm(probe, { force: true });
+
+    const stats = await fs.statfs(dir);
+    const freeBytes = stats.bavail * stats.bsize;
+    if (freeBytes < READY_MIN_FREE_BYTES) {
+      return { ok: false, path: dir, freeBytes, message: `Less than ${READY_MIN_FREE_BYTES} bytes free` };
+    }
+    return { ok: true, path: dir, freeBytes };
+  } catch (error) {
+    return { ok: false, path: dir, message: error.message };
+  }
+}
+
+// Ready when both backends answer, the storage driver can be reached and
+// every shared volume is writable with enough free space
+async function checkReadiness() {
+  const dirs = storage.localDirs();
+  const volumeNames = Object.keys(dirs);
+  const [image, audio, store, ...volumes] = await Promise.all([
+    checkImageHealth(),
+    checkAudioHealth(),
+    storage.check(),
+    ...volumeNames.map(name => volumeReadiness(dirs[name]))
+  ]);
+
+  const checks = {
+    backends: {
+      'vision-api': backendReadiness(image),
+      'audio-api': backendReadiness(audio)
+    },
+    storage: { driver: storage.driver, ...store },
+    volumes: Object.fromEntries(volumeNames.map((name, i) => [name, volumes[i]]))
+  };
+  const ready = [...Object.values(checks.backends), checks.storage, ...Object.values(checks.volumes)]
+    .every(check => check.ok);
+
+  return { status: ready ? 'ready' : 'not_ready', checks };
+}
+
+// Checks both models while anyone is subscribed to the event stream and
+// broadcasts a 'health' event whenever a model's status or message changes.
+// A model is re-checked as soon as its circuit, one of its replicas or the
+// audio queue changes.
+class HealthMonitor {
+  constructor({ hub, intervalMs = 5000 }) {
+    this.hub = hub;
+    this.checks = {
+      image: checkImageHealth,
+      audio: checkAudioHealth
+    };
+    this.current = {};
+    this.inFlight = {};
+    this.stale = {};
+
+    hub.on('subscribe', stream => this.greet(stream));
+    // Nothing is checked without subscribers, so what we know goes stale
+    hub.on('unsubscribe', () => {
+      if (hub.size === 0) this.current = {};
+    });
+    audioQueue.on('change', () => this.check('audio'));
+    for (const model of Object.keys(this.checks)) {
+      breakers[model].on('change', () => this.check(model));
+      pools[model].on('change', () => this.check(model));
+    }
+    setInterval(() => {
+      for (const model of Object.keys(this.checks)) {
+        this.check(model);
+      }
+    }, intervalMs).unref();
+  }
+
+  // New subscribers get the current status of every model straight away
+  async greet(stream) {
+    for (const model of Object.keys(this.checks)) {
+      if (this.current[model]) {
+        this.hub.send(stream, 'health', { model, ...this.current[model] });
+      } else {
+        await this.check(model);
+      }
+    }
+  }
+
+  // One check per model at a time; a request made meanwhile runs once it ends
+  async check(model) {
+    if (this.hub.size === 0) return;
+    if (this.inFlight[model]) {
+      this.stale[model] = true;
+      return this.inFlight[model];
+    }
+
+    this.inFlight[model] = (async () => {
+      try {
+        do {
+          this.stale[model] = false;
+          const health = await this.checks[model]();
+          const previous = this.current[model];
+          if (!previous || previous.status !== health.status || previous.message !== health.message) {
+            this.current[model] = health;
+            this.hub.broadcast('health', { model, ...health });
+          }
+        } while (this.stale[model]);
+      } finally {
+        this.inFlight[model] = null;
+      }
+    })();
+    return this.inFlight[model];
+  }
+}
+
+module.exports = { checkImageHealth, checkAudioHealth, checkReadiness, HealthMonitor };
@@ -0,0 +1,135 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { logger } = require('./logger');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// Append-only analysis history backed by a JSON-lines file. Records are
+// loaded into memory on startup and queried from there. Only the newest
+// `maxRecords`, and none older than `maxAgeMs`, are kept; the file is
+// rewritten without the dropped ones once they outnumber the kept ones.
+class HistoryStore {
+  constructor(filePath, { maxRecords = 10000, maxAgeMs = 90 * 24 * 60 * 60 * 1000 } = {}) {
+    this.filePath = filePath;
+    this.maxRecords = maxRecords;
+    this.maxAgeMs = maxAgeMs;
+    this.records = [];
+    // Lines still in the file for records that were dropped
+    this.dropped = 0;
+    this.writeChain = Promise.resolve();
+    this.ready = this.load();
+  }
+
+  async load() {
+    let data;
+    try {
+      data = await fs.readFile(this.filePath, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    for (const line of data.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        this.records.push(JSON.parse(line));
+      } catch {
+        logger.warn('Skipping unreadable history line', { file: this.filePath });
+      }
+    }
+    this.prune();
+  }
+
+  // Records are in the order they were made, so the oldest go first
+  prune() {
+    const cutoff = Date.now() - this.maxAgeMs;
+    let remove = Math.max(0, this.records.length - this.maxRecords);
+    while (remove < this.records.length && Date.parse(this.records[remove].createdAt) < cutoff) {
+      remove++;
+    }
+    if (remove === 0) return;
+
+    this.records.splice(0, remove);
+    this.dropped += remove;
+    if (this.dropped > this.records.length) {
+      this.compact();
+    }
+  }
+
+  // Rewrites the file with only the kept records, in line with appends
+  compact() {
+    const records = [...this.records];
+    this.dropped = 0;
+    this.writeChain = this.writeChain
+      .then(async () => {
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.writeFile(tempPath, records.map(record => JSON.stringify(record) + '\n').join(''), 'utf-8');
+        await fs.rename(tempPath, this.filePath);
+        logger.info('Compacted analysis history', { file: this.filePath, records: records.length });
+      })
+      .catch(error => logger.error('Failed to compact analysis history', { error }));
+  }
+
+  async record(entry) {
+    await this.ready;
+
+    const record = {
+      id: uuidv4(),
+      createdAt: new Date().toISOString(),
+      ...entry
+    };
+    this.records.push(record);
+
+    // Serialize appends so concurrent analyses never interleave lines
+    this.writeChain = this.writeChain
+      .then(async () => {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.appendFile(this.filePath, JSON.stringify(record) + '\n', 'utf-8');
+      })
+      .catch(error => logger.error('Failed to write analysis history', { error }));
+    // After the append, so a compaction does not write the record twice
+    this.prune();
+    await this.writeChain;
+
+    return record;
+  }
+
+  async get(id) {
+    await this.ready;
+    this.prune();
+    return this.records.find(record => record.id === id) || null;
+  }
+
+  // Newest first. Dates are compared against `createdAt`; `apiKey` limits the
+  // results to those of one key.
+  async query({ from, to, decision, modality, minScore, maxScore, apiKey, limit = DEFAULT_LIMIT, offset = 0 } = {}) {
+    await this.ready;
+    this.prune();
+
+    const matches = this.records.filter(record => {
+      const createdAt = Date.parse(record.createdAt);
+      if (from !== undefined && createdAt < from) return false;
+      if (to !== undefined && createdAt > to) return false;
+      if (decision && record.decision !== decision) return false;
+      if (modality && record.modality !== modality) return false;
+      if (apiKey !== undefined && record.apiKey !== apiKey) return false;
+      if (minScore !== undefined && !(record.score >= minScore)) return false;
+      if (maxScore !== undefined && !(record.score <= maxScore)) return false;
+      return true;
+    }).reverse();
+
+    limit = Math.min(limit, MAX_LIMIT);
+
+    return {
+      total: matches.length,
+      limit,
+      offset,
+      results: matches.slice(offset, offset + limit)
+    };
+  }
+}
+
+module.exports = { HistoryStore, DEFAULT_LIMIT, MAX_LIMIT };
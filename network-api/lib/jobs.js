@@ -0,0 +1,154 @@
+const { v4: uuidv4 } = require('uuid');
+
+const FINISHED_STATES = new Set(['completed', 'failed', 'cancelled']);
+
+// In-memory store for asynchronous analysis jobs. Finished jobs are kept
+// for `ttlMs` so clients can come back for the result, then dropped.
+class JobStore {
+  constructor({ ttlMs = 60 * 60 * 1000, sweepIntervalMs = 60 * 1000 } = {}) {
+    this.ttlMs = ttlMs;
+    this.jobs = new Map();
+
+    this.sweepTimer = setInterval(() => this.sweep(), sweepIntervalMs);
+    this.sweepTimer.unref();
+  }
+
+  // `run(job, signal)` does the actual work and resolves with the result.
+  // `cleanup(job)` is called if the job is cancelled before it starts.
+  // With `deferStart`, the job stays queued until `run` calls markRunning().
+  // `apiKey` is the name of the key that submitted the job.
+  create(type, run, { cleanup, meta = {}, deferStart = false, apiKey = null } = {}) {
+    const job = {
+      id: uuidv4(),
+      type,
+      apiKey,
+      status: 'queued',
+      meta,
+      result: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      expiresAt: null,
+      controller: new AbortController(),
+      queueTicket: null,
+      cleanup
+    };
+
+    this.jobs.set(job.id, job);
+    // Settles once the job has finished, however it ended
+    job.settled = this.start(job, run, deferStart);
+
+    return job;
+  }
+
+  async start(job, run, deferStart) {
+    if (!deferStart) {
+      this.markRunning(job);
+    }
+
+    try {
+      const result = await run(job, job.controller.signal);
+      if (job.status === 'cancelled') return;
+      job.result = result;
+      // A deferred job served from the cache never got to markRunning()
+      this.markRunning(job);
+      this.finish(job, 'completed');
+    } catch (error) {
+      if (job.status === 'cancelled') return;
+      job.error = {
+        message: error.message,
+        code: error.code || null,
+        status: error.status || null
+      };
+      this.finish(job, 'failed');
+    }
+  }
+
+  markRunning(job) {
+    if (job.status !== 'queued') return;
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+  }
+
+  finish(job, status) {
+    job.status = status;
+    job.finishedAt = new Date().toISOString();
+    job.expiresAt = new Date(Date.now() + this.ttlMs).toISOString();
+  }
+
+  // With `apiKey`, jobs submitted with other keys are not found
+  get(id, { apiKey } = {}) {
+    const job = this.jobs.get(id);
+    if (!job || (apiKey !== undefined && job.apiKey !== apiKey)) return null;
+    return job;
+  }
+
+  // Cancelling a queued or running job aborts it; cancelling a finished job
+  // removes it from the store.
+  async cancel(id, { apiKey } = {}) {
+    const job = this.get(id, { apiKey });
+    if (!job) return null;
+
+    if (FINISHED_STATES.has(job.status)) {
+      this.jobs.delete(id);
+      return job;
+    }
+
+    const wasQueued = job.status === 'queued';
+    this.finish(job, 'cancelled');
+    job.controller.abort();
+
+    if (wasQueued && job.cleanup) {
+      try {
+        await job.cleanup(job);
+      } catch {}
+    }
+
+    return job;
+  }
+
+  // Jobs that are queued or running
+  activeCount() {
+    let count = 0;
+    for (const job of this.jobs.values()) {
+      if (!FINISHED_STATES.has(job.status)) count++;
+    }
+    return count;
+  }
+
+  async cancelAll() {
+    for (const job of [...this.jobs.values()]) {
+      if (!FINISHED_STATES.has(job.status)) {
+        await this.cancel(job.id);
+      }
+    }
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [id, job] of this.jobs) {
+      if (job.expiresAt && Date.parse(job.expiresAt) <= now) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+
+  toJSON(job) {
+    return {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      queuePosition: job.status === 'queued' && job.queueTicket ? job.queueTicket.position() : null,
+      ...job.meta,
+      result: job.result,
+      error: job.error,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      expiresAt: job.expiresAt
+    };
+  }
+}
+
+module.exports = { JobStore };
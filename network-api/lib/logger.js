@@ -0,0 +1,69 @@
+const fs = require('fs');
+const { currentRequestId } = require('./context');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    code: error.code,
+    stack: error.stack
+  };
+}
+
+function serializeFields(fields) {
+  const serialized = {};
+  for (const [key, value] of Object.entries(fields)) {
+    serialized[key] = value instanceof Error ? serializeError(value) : value;
+  }
+  return serialized;
+}
+
+// Writes one JSON object per line. The sink is stdout unless LOG_FILE is set;
+// any function taking a line of text can be passed instead. `flush()`
+// resolves once everything logged so far has been written.
+function createLogger({ level = 'info', sink } = {}) {
+  const threshold = LEVELS[level] ?? LEVELS.info;
+  let flush = async () => {};
+
+  if (!sink && process.env.LOG_FILE) {
+    // Writes are buffered in order rather than blocking on every line
+    const stream = fs.createWriteStream(process.env.LOG_FILE, { flags: 'a' });
+    stream.on('error', error => process.stderr.write(`Failed to write log file: ${error.message}\n`));
+    sink = line => stream.write(line);
+    flush = () => new Promise(resolve => stream.write('', resolve));
+  } else if (!sink) {
+    sink = line => process.stdout.write(line);
+  }
+
+  function log(levelName, msg, fields = {}) {
+    if (LEVELS[levelName] < threshold) return;
+
+    const entry = {
+      time: new Date().toISOString(),
+      level: levelName,
+      msg,
+      requestId: currentRequestId() || undefined,
+      ...serializeFields(fields)
+    };
+
+    try {
+      sink(JSON.stringify(entry) + '\n');
+    } catch (error) {
+      process.stderr.write(`Failed to write log entry: ${error.message}\n`);
+    }
+  }
+
+  return {
+    debug: (msg, fields) => log('debug', msg, fields),
+    info: (msg, fields) => log('info', msg, fields),
+    warn: (msg, fields) => log('warn', msg, fields),
+    error: (msg, fields) => log('error', msg, fields),
+    flush: () => flush()
+  };
+}
+
+const logger = createLogger({ level: process.env.LOG_LEVEL || 'info' });
+
+module.exports = { logger, createLogger };
@@ -0,0 +1,140 @@
+const client = require('prom-client');
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const BACKENDS = {
+  image: 'vision-api',
+  audio: 'audio-api',
+  // Frames and the audio track of a video go through both backends
+  video: 'vision-api+audio-api'
+};
+
+const httpRequests = new client.Counter({
+  name: 'network_api_http_requests_total',
+  help: 'HTTP requests handled, by route and status',
+  labelNames: ['method', 'route', 'status'],
+  registers: [register]
+});
+
+const uploadSize = new client.Histogram({
+  name: 'network_api_upload_size_bytes',
+  help: 'Size of files sent to a model backend',
+  labelNames: ['backend'],
+  buckets: [10e3, 100e3, 500e3, 1e6, 5e6, 10e6, 50e6, 100e6],
+  registers: [register]
+});
+
+const analysisDuration = new client.Histogram({
+  name: 'network_api_analysis_duration_seconds',
+  help: 'End-to-end latency of an analysis by a model backend',
+  labelNames: ['backend'],
+  buckets: [0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120],
+  registers: [register]
+});
+
+const backendErrors = new client.Counter({
+  name: 'network_api_backend_errors_total',
+  help: 'Failed analyses by backend and kind (timeout, contract or error)',
+  labelNames: ['backend', 'kind'],
+  registers: [register]
+});
+
+const decisions = new client.Counter({
+  name: 'network_api_decisions_total',
+  help: 'Decisions returned, by modality and decision',
+  labelNames: ['modality', 'decision'],
+  registers: [register]
+});
+
+// Routes registered under several paths (/api/jobs and /v1/jobs) are
+// counted under their first path
+function routeTemplate(route) {
+  return Array.isArray(route.path) ? route.path[0] : route.path;
+}
+
+// Requests rejected before routing (auth, validation) never set req.route,
+// so look up the route they were addressed to
+function findRoute(req) {
+  const pathname = req.originalUrl.split('?')[0];
+  try {
+    const layer = req.app.router.stack.find(layer =>
+      layer.route && layer.route._handlesMethod(req.method) && layer.match(pathname));
+    return layer ? layer.route : null;
+  } catch {
+    // Malformed percent-encoding in the path
+    return null;
+  }
+}
+
+// Counts every response once it has been sent. Unmatched paths (static
+// files, 404s) share one label so the series count stays bounded.
+function requestMetrics(req, res, next) {
+  res.on('finish', () => {
+    const matched = req.route || findRoute(req);
+    const route = matched ? routeTemplate(matched) : 'unmatched';
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+  });
+  next();
+}
+
+function observeAnalysis(modality, { size, durationMs }) {
+  const backend = BACKENDS[modality];
+  uploadSize.observe({ backend }, size);
+  analysisDuration.observe({ backend }, durationMs / 1000);
+}
+
+function observeBackendError(modality, kind) {
+  backendErrors.inc({ backend: BACKENDS[modality], kind });
+}
+
+function observeDecision(modality, decision) {
+  decisions.inc({ modality, decision });
+}
+
+// In-flight and queued counts are read from the queue at scrape time
+function trackQueue(queue) {
+  new client.Gauge({
+    name: `network_api_${queue.name}_in_flight`,
+    help: `Requests currently being processed by the ${queue.name} backend`,
+    registers: [register],
+    collect() {
+      this.set(queue.running);
+    }
+  });
+  new client.Gauge({
+    name: `network_api_${queue.name}_queue_depth`,
+    help: `Requests waiting for the ${queue.name} backend`,
+    registers: [register],
+    collect() {
+      this.set(queue.queued);
+    }
+  });
+}
+
+const CIRCUIT_STATES = { closed: 0, half_open: 1, open: 2 };
+
+// Circuit state is read from the breaker at scrape time
+function trackBreakers(breakers) {
+  new client.Gauge({
+    name: 'network_api_circuit_state',
+    help: 'Backend circuit breaker state (0 closed, 1 half-open, 2 open)',
+    labelNames: ['backend'],
+    registers: [register],
+    collect() {
+      for (const breaker of breakers) {
+        this.set({ backend: breaker.backend }, CIRCUIT_STATES[breaker.status().state]);
+      }
+    }
+  });
+}
+
+module.exports = {
+  register,
+  requestMetrics,
+  observeAnalysis,
+  observeBackendError,
+  observeDecision,
+  trackQueue,
+  trackBreakers
+};
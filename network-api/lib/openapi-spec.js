@@ -0,0 +1,1056 @@
+// OpenAPI 3.1 description of every route in index.js. Served at
+// /api/openapi.json and used to validate requests, responses and the
+// payloads of vision-api and audio-api at runtime (see openapi.js).
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+function json(description, schema, headers) {
+  return {
+    description,
+    ...(headers ? { headers } : {}),
+    content: { 'application/json': { schema } }
+  };
+}
+
+const RETRY_AFTER = {
+  'Retry-After': { description: 'Seconds to wait before retrying', schema: { type: 'integer' } }
+};
+
+const ERRORS = {
+  400: json('Invalid request', ref('Error')),
+  401: json('Missing or unknown API key', ref('Error')),
+  403: json('API key disabled, or not an admin key', ref('Error')),
+  404: json('Not found', ref('Error')),
+  413: json('File too large', ref('Error')),
+  415: json('Unsupported media type', ref('Error')),
+  429: json('Rate limit, daily quota or audio queue exceeded', ref('Error'), RETRY_AFTER),
+  502: json('A model backend returned a malformed or unexpected result', ref('Error')),
+  503: json("A model backend's circuit breaker is open, or the server is shutting down", ref('Error'), RETRY_AFTER),
+  504: json('A model backend did not answer in time', ref('Error'))
+};
+
+function errors(...codes) {
+  return {
+    ...Object.fromEntries(codes.map(code => [code, ERRORS[code]])),
+    default: json('Unexpected error', ref('Error'))
+  };
+}
+
+const UPLOAD_ERRORS = [400, 401, 403, 413, 415, 429];
+const ANALYSIS_ERRORS = [...UPLOAD_ERRORS, 502, 503, 504];
+
+const FORM_FIELDS = {
+  callback_url: {
+    type: 'string',
+    format: 'uri',
+    description: 'URL that receives the result as a signed webhook'
+  }
+};
+
+const SEGMENT_FIELDS = {
+  segment: {
+    type: 'string',
+    enum: ['true', 'false', 'auto'],
+    description: 'Split the recording into overlapping windows; `auto` only when it is longer than one window'
+  },
+  segment_seconds: { type: 'number', minimum: 1, description: 'Window length in seconds' },
+  segment_overlap: { type: 'number', minimum: 0, description: 'Overlap between windows in seconds' }
+};
+
+function multipart(fileFields, { extraFields = {}, required = fileFields } = {}) {
+  const properties = Object.fromEntries(fileFields.map(name => [name, { type: 'string', format: 'binary' }]));
+  return {
+    required: true,
+    content: {
+      'multipart/form-data': {
+        schema: {
+          type: 'object',
+          properties: { ...properties, ...FORM_FIELDS, ...extraFields },
+          ...(required.length > 0 ? { required } : {})
+        }
+      }
+    }
+  };
+}
+
+const idParam = description => ({
+  name: 'id',
+  in: 'path',
+  required: true,
+  description,
+  schema: { type: 'string' }
+});
+
+const secured = [{ bearerAuth: [] }];
+
+const jobOperations = version => ({
+  post: {
+    operationId: version ? 'createJobV1' : 'createJob',
+    tags: [version ? 'v1' : 'Jobs'],
+    summary: 'Submit an image, audio or video file for asynchronous analysis',
+    description: 'Provide exactly one of the file fields. The job is polled at the Location header.',
+    security: secured,
+    requestBody: multipart(['image', 'audio', 'video'], { extraFields: SEGMENT_FIELDS, required: [] }),
+    responses: {
+      202: json('Job accepted', ref(version ? 'JobV1' : 'Job'), {
+        Location: { description: 'URL of the job', schema: { type: 'string' } }
+      }),
+      ...errors(...UPLOAD_ERRORS, 503)
+    }
+  }
+});
+
+const jobByIdOperations = version => ({
+  parameters: [idParam('Job id')],
+  get: {
+    operationId: version ? 'getJobV1' : 'getJob',
+    tags: [version ? 'v1' : 'Jobs'],
+    summary: 'Get job status and result',
+    security: secured,
+    responses: {
+      200: json('The job', ref(version ? 'JobV1' : 'Job')),
+      ...errors(401, 403, 404)
+    }
+  },
+  delete: {
+    operationId: version ? 'cancelJobV1' : 'cancelJob',
+    tags: [version ? 'v1' : 'Jobs'],
+    summary: 'Cancel a queued or running job, or discard a finished one',
+    security: secured,
+    responses: {
+      200: json('The job as it was cancelled or discarded', ref(version ? 'JobV1' : 'Job')),
+      ...errors(401, 403, 404)
+    }
+  }
+});
+
+const modelOutput = {
+  type: 'object',
+  properties: {
+    decision: { type: 'string' },
+    score: { type: 'number' }
+  }
+};
+
+const nullableNumber = { type: ['number', 'null'] };
+const nullableString = { type: ['string', 'null'] };
+const dateTime = { type: 'string', format: 'date-time' };
+const nullableDateTime = { type: ['string', 'null'], format: 'date-time' };
+
+const spec = {
+  openapi: '3.1.0',
+  info: {
+    title: 'Network API',
+    version: '1.0.0',
+    description: 'Upload images, audio and video for analysis by vision-api and audio-api. ' +
+      'Every route marked with a lock needs `Authorization: Bearer <key>`, unless the server runs with AUTH_DISABLED.'
+  },
+  tags: [
+    { name: 'v1', description: 'Versioned API with a normalized result for every modality' },
+    { name: 'Analysis', description: 'Synchronous analysis, returning the raw backend payload' },
+    { name: 'Jobs', description: 'Asynchronous analysis' },
+    { name: 'Results', description: 'Analysis history' },
+    { name: 'Status', description: 'Service and model health' },
+    { name: 'Admin', description: 'Requires an admin API key' }
+  ],
+  paths: {
+    '/v1/analyze': {
+      post: {
+        operationId: 'analyzeV1',
+        tags: ['v1'],
+        summary: 'Analyze an image, audio or video file',
+        description: 'Provide exactly one of the file fields.',
+        security: secured,
+        requestBody: multipart(['image', 'audio', 'video'], { extraFields: SEGMENT_FIELDS, required: [] }),
+        responses: {
+          200: json('Normalized result', ref('NormalizedResult')),
+          ...errors(...ANALYSIS_ERRORS)
+        }
+      }
+    },
+    '/v1/jobs': jobOperations('v1'),
+    '/v1/jobs/{id}': jobByIdOperations('v1'),
+    '/analyze': {
+      post: {
+        operationId: 'analyzeImage',
+        tags: ['Analysis'],
+        summary: 'Analyze an image',
+        security: secured,
+        requestBody: multipart(['image']),
+        responses: {
+          200: json('vision-api result', ref('ImageResult')),
+          ...errors(...ANALYSIS_ERRORS)
+        }
+      }
+    },
+    '/analyze-audio': {
+      post: {
+        operationId: 'analyzeAudio',
+        tags: ['Analysis'],
+        summary: 'Analyze an audio file, optionally segment by segment',
+        security: secured,
+        requestBody: multipart(['audio'], { extraFields: SEGMENT_FIELDS }),
+        responses: {
+          200: json('audio-api result, or per-segment results', {
+            anyOf: [ref('SegmentedAudioResult'), ref('AudioResult')]
+          }),
+          ...errors(...ANALYSIS_ERRORS)
+        }
+      }
+    },
+    '/analyze-video': {
+      post: {
+        operationId: 'analyzeVideo',
+        tags: ['Analysis'],
+        summary: 'Analyze sampled frames and the audio track of a video',
+        security: secured,
+        requestBody: multipart(['video']),
+        responses: {
+          200: json('Per-frame results and an aggregate verdict', ref('VideoResult')),
+          ...errors(...ANALYSIS_ERRORS)
+        }
+      }
+    },
+    '/api/jobs': jobOperations(),
+    '/api/jobs/{id}': jobByIdOperations(),
+    '/api/results': {
+      get: {
+        operationId: 'queryResults',
+        tags: ['Results'],
+        summary: 'Query the analysis history, newest first',
+        security: secured,
+        parameters: [
+          { name: 'from', in: 'query', schema: dateTime },
+          { name: 'to', in: 'query', schema: dateTime },
+          { name: 'decision', in: 'query', schema: { type: 'string' } },
+          { name: 'modality', in: 'query', schema: { type: 'string', enum: ['image', 'audio', 'video'] } },
+          { name: 'minScore', in: 'query', schema: { type: 'number' } },
+          { name: 'maxScore', in: 'query', schema: { type: 'number' } },
+          { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 0 } },
+          { name: 'offset', in: 'query', schema: { type: 'integer', minimum: 0 } }
+        ],
+        responses: {
+          200: json('A page of history records', ref('HistoryPage')),
+          ...errors(400, 401, 403)
+        }
+      }
+    },
+    '/api/results/{id}': {
+      parameters: [idParam('History record id')],
+      get: {
+        operationId: 'getResult',
+        tags: ['Results'],
+        summary: 'Get a single history record',
+        security: secured,
+        responses: {
+          200: json('The record', ref('HistoryRecord')),
+          ...errors(401, 403, 404)
+        }
+      }
+    },
+    '/api/reports': {
+      post: {
+        operationId: 'createReport',
+        tags: ['Results'],
+        summary: 'Render a batch of results as CSV or as a printable HTML report',
+        description: 'The HTML report is a single self-contained page with a summary, the model versions ' +
+          'used and a row per file; print it, or save it as PDF from the print dialog.',
+        security: secured,
+        parameters: [
+          { name: 'format', in: 'query', schema: { type: 'string', enum: ['csv', 'html'], default: 'html' } }
+        ],
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: ref('ReportRequest') } }
+        },
+        responses: {
+          200: {
+            description: 'The report, as an attachment',
+            content: {
+              'text/csv': { schema: { type: 'string' } },
+              'text/html': { schema: { type: 'string' } }
+            }
+          },
+          ...errors(400, 401, 403, 413)
+        }
+      }
+    },
+    '/api/policy': {
+      get: {
+        operationId: 'getPolicy',
+        tags: ['Results'],
+        summary: "The decision policy applied to the caller's results",
+        description: 'Scores at or above `artificial` are ARTIFICIAL, at or below `authentic` AUTHENTIC, ' +
+          'and INCONCLUSIVE in between. An API key may have a policy of its own.',
+        security: secured,
+        responses: {
+          200: json('The policy', ref('Policy')),
+          ...errors(401, 403)
+        }
+      }
+    },
+    '/api/status': {
+      get: {
+        operationId: 'getStatus',
+        tags: ['Status'],
+        summary: 'Check that the service is running',
+        responses: {
+          200: json('Running', {
+            type: 'object',
+            required: ['message'],
+            properties: { message: { type: 'string' } }
+          })
+        }
+      }
+    },
+    '/api/health/image': {
+      get: {
+        operationId: 'getImageHealth',
+        tags: ['Status'],
+        summary: 'Image model health',
+        responses: {
+          200: json('Model status', ref('ModelHealth'))
+        }
+      }
+    },
+    '/api/health/audio': {
+      get: {
+        operationId: 'getAudioHealth',
+        tags: ['Status'],
+        summary: 'Audio model health and queue',
+        responses: {
+          200: json('Model status', ref('ModelHealth'))
+        }
+      }
+    },
+    '/healthz': {
+      get: {
+        operationId: 'getLiveness',
+        tags: ['Status'],
+        summary: 'Liveness: the process is up and serving requests',
+        responses: {
+          200: json('Alive', ref('Liveness'))
+        }
+      }
+    },
+    '/readyz': {
+      get: {
+        operationId: 'getReadiness',
+        tags: ['Status'],
+        summary: 'Readiness: backends reachable, shared volumes writable, enough free disk',
+        responses: {
+          200: json('Ready to take uploads', ref('Readiness')),
+          503: json('At least one check failed, or the server is shutting down', ref('Readiness'))
+        }
+      }
+    },
+    '/api/events': {
+      get: {
+        operationId: 'getEvents',
+        tags: ['Status'],
+        summary: 'Live upload stages and model health (Server-Sent Events)',
+        description: 'The first event, `ready`, carries a `streamId`. Uploads sent with an `X-Stream-Id` ' +
+          'header naming it (and optionally an `X-Upload-Id` to tell them apart) get `upload` events ' +
+          '(UploadEvent) on that stream as they move through their stages. `health` events ' +
+          '(ModelHealth plus `model`) are sent to every stream when a model changes status.',
+        responses: {
+          200: {
+            description: 'An event stream that stays open',
+            content: { 'text/event-stream': { schema: { type: 'string' } } }
+          }
+        }
+      }
+    },
+    '/metrics': {
+      get: {
+        operationId: 'getMetrics',
+        tags: ['Status'],
+        summary: 'Prometheus metrics',
+        responses: {
+          200: {
+            description: 'Metrics in the Prometheus text format',
+            content: { 'text/plain': { schema: { type: 'string' } } }
+          }
+        }
+      }
+    },
+    '/api/openapi.json': {
+      get: {
+        operationId: 'getOpenApi',
+        tags: ['Status'],
+        summary: 'This document',
+        responses: {
+          200: json('OpenAPI document', { type: 'object' })
+        }
+      }
+    },
+    '/api/webhooks/deliveries': {
+      get: {
+        operationId: 'listWebhookDeliveries',
+        tags: ['Admin'],
+        summary: 'Webhook delivery log, newest first',
+        security: secured,
+        parameters: [
+          { name: 'status', in: 'query', schema: { type: 'string', enum: ['pending', 'delivered', 'failed'] } }
+        ],
+        responses: {
+          200: json('Deliveries', {
+            type: 'object',
+            required: ['deliveries'],
+            properties: { deliveries: { type: 'array', items: ref('WebhookDelivery') } }
+          }),
+          ...errors(401, 403)
+        }
+      }
+    },
+    '/api/webhooks/deliveries/{id}': {
+      parameters: [idParam('Delivery id')],
+      get: {
+        operationId: 'getWebhookDelivery',
+        tags: ['Admin'],
+        summary: 'A single webhook delivery with all attempts',
+        security: secured,
+        responses: {
+          200: json('The delivery', ref('WebhookDelivery')),
+          ...errors(401, 403, 404)
+        }
+      }
+    },
+    '/api/admin/usage': {
+      get: {
+        operationId: 'getUsage',
+        tags: ['Admin'],
+        summary: 'API key usage counters',
+        security: secured,
+        responses: {
+          200: json('Usage per key', ref('Usage')),
+          ...errors(401, 403)
+        }
+      }
+    },
+    '/api/admin/cache': {
+      get: {
+        operationId: 'getCacheStats',
+        tags: ['Admin'],
+        summary: 'Result cache statistics',
+        security: secured,
+        responses: {
+          200: json('Cache statistics', ref('CacheStats')),
+          ...errors(401, 403)
+        }
+      },
+      delete: {
+        operationId: 'clearCache',
+        tags: ['Admin'],
+        summary: 'Clear the result cache',
+        security: secured,
+        responses: {
+          200: json('Cache cleared', {
+            type: 'object',
+            required: ['message', 'cleared'],
+            properties: {
+              message: { type: 'string' },
+              cleared: { type: 'integer' }
+            }
+          }),
+          ...errors(401, 403)
+        }
+      }
+    }
+  },
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer' }
+    },
+    schemas: {
+      Error: {
+        type: 'object',
+        required: ['error'],
+        properties: {
+          error: { type: 'string' },
+          message: { type: 'string' },
+          code: { type: 'string' },
+          requestId: { type: 'string' },
+          retryAfter: { type: 'integer' },
+          details: { type: 'array', items: { type: 'object' } }
+        }
+      },
+      ModelOutput: modelOutput,
+      // Payload of vision-api, as returned by /analyze
+      ImageResult: {
+        type: 'object',
+        required: ['rd-img-ensemble'],
+        properties: {
+          'rd-img-ensemble': {
+            type: 'object',
+            required: ['decision', 'score'],
+            properties: {
+              decision: { type: 'string' },
+              score: { type: 'number' },
+              // Localization is extra: a malformed heatmap or box is left
+              // out of the normalized result rather than failing the analysis
+              heatmap: { type: 'array', description: 'See Heatmap' },
+              boxes: { type: 'array', description: 'See Box' }
+            }
+          },
+          cached: { type: 'boolean' },
+          policy: ref('PolicyVerdict')
+        }
+      },
+      // One entry of audio-api's `results`; the decision field has had several names
+      AudioResult: {
+        type: 'object',
+        properties: {
+          final_decision: { type: 'string' },
+          decision: { type: 'string' },
+          prediction: { type: 'string' },
+          final_probability: { type: 'number' },
+          probability: { type: 'number' },
+          score: { type: 'number' },
+          cached: { type: 'boolean' },
+          policy: ref('PolicyVerdict')
+        },
+        anyOf: [
+          { required: ['final_decision'] },
+          { required: ['decision'] },
+          { required: ['prediction'] }
+        ]
+      },
+      Thresholds: {
+        type: 'object',
+        required: ['artificial', 'authentic'],
+        properties: {
+          artificial: { type: 'number', minimum: 0, maximum: 1, description: 'Scores at or above this are ARTIFICIAL' },
+          authentic: { type: 'number', minimum: 0, maximum: 1, description: 'Scores at or below this are AUTHENTIC' }
+        }
+      },
+      Policy: {
+        type: 'object',
+        required: ['name', 'version', 'thresholds'],
+        properties: {
+          name: { type: 'string', description: '`default`, or the name of the API key the policy belongs to' },
+          version: { type: 'string' },
+          thresholds: {
+            type: 'object',
+            required: ['image', 'audio', 'video'],
+            properties: {
+              image: ref('Thresholds'),
+              audio: ref('Thresholds'),
+              video: ref('Thresholds')
+            }
+          }
+        }
+      },
+      // The decision policy applied to a result, and what it decided
+      PolicyVerdict: {
+        type: 'object',
+        required: ['name', 'version', 'thresholds', 'decision', 'backendDecision'],
+        properties: {
+          name: { type: 'string' },
+          version: { type: 'string' },
+          thresholds: ref('Thresholds'),
+          decision: {
+            type: 'string',
+            description: "ARTIFICIAL, AUTHENTIC or INCONCLUSIVE; the backend's decision when there is no score"
+          },
+          backendDecision: { type: 'string', description: 'What the model backend decided on its own' }
+        }
+      },
+      Heatmap: {
+        type: 'array',
+        description: 'Scores over a grid laid on the image, row by row from the top left',
+        items: { type: 'array', items: { type: 'number', minimum: 0, maximum: 1 } }
+      },
+      Box: {
+        type: 'object',
+        description: 'A suspicious area of the image; position and size are fractions of the image size',
+        required: ['x', 'y', 'width', 'height'],
+        properties: {
+          x: { type: 'number', minimum: 0, maximum: 1 },
+          y: { type: 'number', minimum: 0, maximum: 1 },
+          width: { type: 'number', minimum: 0, maximum: 1 },
+          height: { type: 'number', minimum: 0, maximum: 1 },
+          score: nullableNumber,
+          label: nullableString
+        }
+      },
+      Verdict: {
+        type: 'object',
+        required: ['decision', 'score'],
+        properties: {
+          decision: { type: 'string' },
+          score: nullableNumber
+        }
+      },
+      Region: {
+        type: 'object',
+        required: ['start', 'end', 'segments'],
+        properties: {
+          start: { type: 'number' },
+          end: { type: 'number' },
+          segments: { type: 'array', items: { type: 'integer' } }
+        }
+      },
+      SegmentedAudioResult: {
+        type: 'object',
+        required: ['duration', 'windowSeconds', 'overlapSeconds', 'segments', 'aggregate'],
+        properties: {
+          duration: { type: 'number' },
+          windowSeconds: { type: 'number' },
+          overlapSeconds: { type: 'number' },
+          segments: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['index', 'start', 'end', 'decision', 'score', 'result'],
+              properties: {
+                index: { type: 'integer' },
+                start: { type: 'number' },
+                end: { type: 'number' },
+                decision: { type: 'string', description: 'Under the decision policy' },
+                backendDecision: { type: 'string', description: 'What audio-api decided for the segment' },
+                score: nullableNumber,
+                result: ref('AudioResult')
+              }
+            }
+          },
+          aggregate: {
+            allOf: [ref('Verdict')],
+            required: ['segmentCount', 'artificialSegments', 'regions'],
+            properties: {
+              segmentCount: { type: 'integer' },
+              artificialSegments: { type: 'integer' },
+              regions: { type: 'array', items: ref('Region') }
+            }
+          },
+          cached: { type: 'boolean' },
+          policy: ref('PolicyVerdict')
+        }
+      },
+      VideoResult: {
+        type: 'object',
+        required: ['frameRate', 'frames', 'audio', 'aggregate'],
+        properties: {
+          frameRate: { type: 'number' },
+          frames: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['index', 'timestamp', 'decision', 'score', 'result'],
+              properties: {
+                index: { type: 'integer' },
+                timestamp: { type: 'number' },
+                decision: { type: 'string', description: 'Under the decision policy' },
+                backendDecision: { type: 'string', description: 'What vision-api decided for the frame' },
+                score: nullableNumber,
+                result: ref('ImageResult')
+              }
+            }
+          },
+          audio: {
+            anyOf: [
+              { type: 'null' },
+              {
+                allOf: [ref('Verdict')],
+                required: ['result'],
+                properties: { result: ref('AudioResult') }
+              }
+            ]
+          },
+          aggregate: {
+            allOf: [ref('Verdict')],
+            required: ['visual', 'audio'],
+            properties: {
+              visual: ref('Verdict'),
+              audio: { anyOf: [{ type: 'null' }, ref('Verdict')] }
+            }
+          },
+          cached: { type: 'boolean' },
+          policy: ref('PolicyVerdict')
+        }
+      },
+      NormalizedResult: {
+        type: 'object',
+        required: ['modality', 'decision', 'score', 'policy', 'models', 'modelVersions', 'timing', 'timeline', 'localization', 'raw'],
+        properties: {
+          modality: { type: 'string', enum: ['image', 'audio', 'video'] },
+          decision: { type: 'string' },
+          score: nullableNumber,
+          policy: { anyOf: [{ type: 'null' }, ref('PolicyVerdict')] },
+          models: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['name', 'decision', 'score'],
+              properties: {
+                name: { type: 'string' },
+                decision: { type: 'string' },
+                score: nullableNumber
+              }
+            }
+          },
+          modelVersions: {
+            type: 'object',
+            description: 'Model version reported by each backend involved, by backend name',
+            additionalProperties: { type: 'string' }
+          },
+          timing: {
+            type: 'object',
+            required: ['startedAt', 'completedAt', 'durationMs', 'cached'],
+            properties: {
+              startedAt: nullableDateTime,
+              completedAt: nullableDateTime,
+              durationMs: { type: ['integer', 'null'] },
+              cached: { type: 'boolean' }
+            }
+          },
+          timeline: {
+            description: 'Scored time spans of a video or segmented recording',
+            anyOf: [
+              { type: 'null' },
+              {
+                type: 'object',
+                required: ['duration', 'segments', 'regions'],
+                properties: {
+                  duration: { type: 'number' },
+                  segments: {
+                    type: 'array',
+                    items: {
+                      allOf: [ref('Verdict')],
+                      required: ['index', 'start', 'end'],
+                      properties: {
+                        index: { type: 'integer' },
+                        start: { type: 'number' },
+                        end: { type: 'number' }
+                      }
+                    }
+                  },
+                  regions: { type: 'array', items: ref('Region') }
+                }
+              }
+            ]
+          },
+          localization: {
+            description: 'Where in an image the detectors found signs of generation, when vision-api reports it',
+            anyOf: [
+              { type: 'null' },
+              {
+                type: 'object',
+                required: ['heatmap', 'boxes'],
+                properties: {
+                  heatmap: { anyOf: [{ type: 'null' }, ref('Heatmap')] },
+                  boxes: { type: 'array', items: ref('Box') }
+                }
+              }
+            ]
+          },
+          raw: {
+            description: 'The backend payload, as returned by the unversioned routes',
+            type: 'object'
+          }
+        }
+      },
+      Job: {
+        type: 'object',
+        required: ['id', 'type', 'status', 'queuePosition', 'result', 'error', 'createdAt', 'startedAt', 'finishedAt', 'expiresAt'],
+        properties: {
+          id: { type: 'string' },
+          type: { type: 'string', enum: ['image', 'audio', 'video'] },
+          status: { type: 'string', enum: ['queued', 'running', 'completed', 'failed', 'cancelled'] },
+          queuePosition: { type: ['integer', 'null'] },
+          filename: { type: 'string' },
+          size: { type: 'integer' },
+          callbackUrl: nullableString,
+          result: {
+            description: 'Raw result once completed',
+            anyOf: [{ type: 'null' }, { type: 'object' }]
+          },
+          error: nullableString,
+          createdAt: dateTime,
+          startedAt: nullableDateTime,
+          finishedAt: nullableDateTime,
+          expiresAt: nullableDateTime
+        }
+      },
+      JobV1: {
+        allOf: [ref('Job')],
+        properties: {
+          result: { anyOf: [{ type: 'null' }, ref('NormalizedResult')] }
+        }
+      },
+      HistoryRecord: {
+        type: 'object',
+        required: ['id', 'createdAt', 'filename', 'modality', 'decision', 'score', 'result'],
+        properties: {
+          id: { type: 'string' },
+          createdAt: dateTime,
+          filename: { type: 'string' },
+          size: { type: 'integer' },
+          hash: { type: 'string' },
+          modality: { type: 'string', enum: ['image', 'audio', 'video'] },
+          decision: { type: 'string' },
+          score: nullableNumber,
+          cached: { type: 'boolean' },
+          durationMs: { type: 'integer' },
+          modelVersion: { type: 'string' },
+          apiKey: { ...nullableString, description: 'Name of the API key the analysis was made with' },
+          policy: {
+            type: 'object',
+            required: ['name', 'version'],
+            properties: { name: { type: 'string' }, version: { type: 'string' } }
+          },
+          result: { type: 'object' }
+        }
+      },
+      ReportRequest: {
+        type: 'object',
+        required: ['files'],
+        properties: {
+          title: { type: 'string', maxLength: 200 },
+          files: { type: 'array', minItems: 1, maxItems: 10000, items: ref('ReportFile') }
+        }
+      },
+      ReportFile: {
+        type: 'object',
+        required: ['filename', 'modality', 'decision', 'score'],
+        properties: {
+          filename: { type: 'string', maxLength: 1024 },
+          modality: { type: 'string', enum: ['image', 'audio', 'video'] },
+          decision: { type: 'string', maxLength: 64 },
+          score: nullableNumber,
+          analyzedAt: nullableDateTime,
+          durationMs: { type: ['integer', 'null'] },
+          cached: { type: 'boolean' },
+          modelVersions: {
+            type: 'object',
+            description: 'Model version reported by each backend involved, by backend name',
+            additionalProperties: { type: 'string' }
+          },
+          regions: {
+            type: 'array',
+            description: 'Flagged time spans of a video or segmented recording, in seconds',
+            items: {
+              type: 'object',
+              required: ['start', 'end'],
+              properties: { start: { type: 'number' }, end: { type: 'number' } }
+            }
+          },
+          requestId: nullableString,
+          policyVersion: { type: 'string', maxLength: 200, description: 'Version of the decision policy applied' },
+          thumbnail: {
+            type: 'string',
+            description: 'Image thumbnail as a base64 data URL',
+            maxLength: 200000,
+            pattern: '^data:image/(png|jpeg|webp|gif);base64,[A-Za-z0-9+/]+=*$'
+          }
+        }
+      },
+      HistoryPage: {
+        type: 'object',
+        required: ['total', 'limit', 'offset', 'results'],
+        properties: {
+          total: { type: 'integer' },
+          limit: { type: 'integer' },
+          offset: { type: 'integer' },
+          results: { type: 'array', items: ref('HistoryRecord') }
+        }
+      },
+      ModelHealth: {
+        type: 'object',
+        required: ['status', 'message'],
+        properties: {
+          status: { type: 'string', enum: ['ready', 'busy', 'loading', 'unavailable'] },
+          message: { type: 'string' },
+          details: { type: 'object', description: "The backend's own /health response" },
+          error: { type: 'string' },
+          processing: { type: 'boolean' },
+          count: { type: 'integer' },
+          queue: ref('QueueStats'),
+          circuit: ref('CircuitStatus'),
+          replicas: { type: 'array', items: ref('Replica') }
+        }
+      },
+      Liveness: {
+        type: 'object',
+        required: ['status', 'uptime'],
+        properties: {
+          status: { type: 'string', const: 'ok' },
+          uptime: { type: 'number', description: 'Seconds since the process started' }
+        }
+      },
+      Readiness: {
+        type: 'object',
+        required: ['status'],
+        properties: {
+          status: { type: 'string', enum: ['ready', 'not_ready', 'draining'] },
+          checks: {
+            type: 'object',
+            required: ['backends', 'storage', 'volumes'],
+            properties: {
+              storage: {
+                type: 'object',
+                required: ['driver', 'ok'],
+                properties: {
+                  driver: { type: 'string', enum: ['filesystem', 's3'] },
+                  ok: { type: 'boolean' },
+                  bucket: { type: 'string' },
+                  message: { type: 'string' }
+                }
+              },
+              backends: {
+                type: 'object',
+                additionalProperties: {
+                  type: 'object',
+                  required: ['ok', 'status'],
+                  properties: {
+                    ok: { type: 'boolean' },
+                    status: { type: 'string' },
+                    message: { type: 'string' }
+                  }
+                }
+              },
+              volumes: {
+                type: 'object',
+                description: 'Shared volumes by docker-compose name (none with the s3 storage driver)',
+                additionalProperties: {
+                  type: 'object',
+                  required: ['ok', 'path'],
+                  properties: {
+                    ok: { type: 'boolean' },
+                    path: { type: 'string' },
+                    freeBytes: { type: 'integer' },
+                    message: { type: 'string' }
+                  }
+                }
+              }
+            }
+          }
+        }
+      },
+      CircuitStatus: {
+        type: 'object',
+        required: ['state', 'failures'],
+        properties: {
+          state: { type: 'string', enum: ['closed', 'open', 'half_open'] },
+          failures: { type: 'integer', description: 'Failed calls in a row' },
+          openedAt: { type: ['string', 'null'], format: 'date-time' },
+          retryAfter: { type: ['integer', 'null'], description: 'Seconds until a trial call is let through' }
+        }
+      },
+      Replica: {
+        type: 'object',
+        required: ['url', 'healthy', 'busy', 'outstanding'],
+        properties: {
+          url: { type: 'string' },
+          healthy: { type: 'boolean', description: 'In rotation for new calls' },
+          busy: { type: 'boolean', description: 'Last health check timed out while working on our requests' },
+          outstanding: { type: 'integer', description: 'Calls in flight' },
+          lastCheckedAt: { type: ['string', 'null'], format: 'date-time' },
+          error: { type: 'string' }
+        }
+      },
+      UploadEvent: {
+        type: 'object',
+        required: ['uploadId', 'requestId', 'stage', 'at'],
+        properties: {
+          uploadId: { type: 'string', description: 'X-Upload-Id of the upload, or its request ID' },
+          requestId: { type: 'string' },
+          stage: {
+            type: 'string',
+            enum: ['received', 'queued', 'sent_to_model', 'result_ready', 'done', 'failed']
+          },
+          at: { type: 'string', format: 'date-time' },
+          position: { type: 'integer', description: 'Place in the audio queue (queued)' },
+          backend: { type: 'string', description: 'Backend the file was sent to (sent_to_model)' },
+          decision: { type: 'string' },
+          score: { type: ['number', 'null'] },
+          cached: { type: 'boolean' },
+          status: { type: 'integer', description: 'HTTP status of the response (done, failed)' },
+          jobId: { type: 'string', description: 'Set when a job finishes (done, failed)' },
+          error: { type: 'string' }
+        }
+      },
+      QueueStats: {
+        type: 'object',
+        required: ['running', 'queued', 'concurrency', 'maxDepth'],
+        properties: {
+          running: { type: 'integer' },
+          queued: { type: 'integer' },
+          concurrency: { type: 'integer' },
+          maxDepth: { type: 'integer' }
+        }
+      },
+      CacheStats: {
+        type: 'object',
+        required: ['entries', 'maxEntries', 'ttlMs', 'hits', 'misses'],
+        properties: {
+          entries: { type: 'integer' },
+          maxEntries: { type: 'integer' },
+          ttlMs: { type: 'integer' },
+          hits: { type: 'integer' },
+          misses: { type: 'integer' }
+        }
+      },
+      Usage: {
+        type: 'object',
+        required: ['enabled', 'keys'],
+        properties: {
+          enabled: { type: 'boolean' },
+          keys: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['name', 'totalRequests', 'today'],
+              properties: {
+                name: { type: 'string' },
+                admin: { type: 'boolean' },
+                disabled: { type: 'boolean' },
+                totalRequests: { type: 'integer' },
+                requestsThisMinute: { type: 'integer' },
+                rateLimitPerMinute: { type: ['integer', 'null'] },
+                today: {
+                  type: 'object',
+                  properties: {
+                    date: { type: 'string' },
+                    files: { type: 'integer' },
+                    bytes: { type: 'integer' }
+                  }
+                },
+                dailyQuotaFiles: { type: ['integer', 'null'] },
+                dailyQuotaBytes: { type: ['integer', 'null'] }
+              }
+            }
+          }
+        }
+      },
+      WebhookDelivery: {
+        type: 'object',
+        required: ['id', 'url', 'event', 'status', 'attempts', 'createdAt', 'payload'],
+        properties: {
+          id: { type: 'string' },
+          url: { type: 'string' },
+          event: { type: 'string', enum: ['analysis.completed', 'analysis.failed'] },
+          status: { type: 'string', enum: ['pending', 'delivered', 'failed'] },
+          attempts: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['at', 'status', 'error'],
+              properties: {
+                at: dateTime,
+                status: { type: ['integer', 'null'] },
+                error: nullableString
+              }
+            }
+          },
+          createdAt: dateTime,
+          deliveredAt: nullableDateTime,
+          nextAttemptAt: nullableDateTime,
+          payload: { type: 'object' }
+        }
+      }
+    }
+  }
+};
+
+module.exports = { spec };
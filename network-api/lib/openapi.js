@@ -0,0 +1,242 @@
+const fs = require('fs').promises;
+const Ajv2020 = require('ajv/dist/2020');
+const { spec } = require('./openapi-spec');
+const { logger } = require('./logger');
+
+// What to do with a response that does not match the spec: replace it with a
+// 500 ("error"), only log it ("log"), or skip response validation ("off")
+const RESPONSE_VALIDATION = process.env.OPENAPI_RESPONSE_VALIDATION || 'error';
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// Schemas of the payloads each backend is expected to return
+const BACKEND_SCHEMAS = {
+  image: { backend: 'vision-api', schema: 'ImageResult' },
+  audio: { backend: 'audio-api', schema: 'AudioResult' }
+};
+
+class BackendContractError extends Error {
+  constructor(backend, details) {
+    super(`${backend} returned a result that does not match the expected schema: ` +
+      details.map(detail => detail.message).join('; '));
+    this.name = 'BackendContractError';
+    this.code = 'BACKEND_CONTRACT_VIOLATION';
+    this.backend = backend;
+    this.details = details;
+  }
+}
+
+function createAjv(options = {}) {
+  const ajv = new Ajv2020({ strict: false, allErrors: true, ...options });
+  ajv.addFormat('date-time', value => !Number.isNaN(Date.parse(value)));
+  ajv.addFormat('uri', value => URL.canParse(value));
+  ajv.addFormat('binary', () => true);
+  ajv.addSchema(spec, 'openapi.json');
+  return ajv;
+}
+
+// Form fields, path and query parameters arrive as strings
+const requestAjv = createAjv({ coerceTypes: true });
+const responseAjv = createAjv();
+
+// JSON pointer to a part of the spec, for $refs into it
+function pointer(...segments) {
+  return 'openapi.json#/' + segments.map(segment => String(segment).replace(/~/g, '~0').replace(/\//g, '~1')).join('/');
+}
+
+function pathPattern(template) {
+  const source = template
+    .split(/(\{\w+\})/)
+    .map(part => {
+      const param = /^\{(\w+)\}$/.exec(part);
+      return param ? `(?<${param[1]}>[^/]+)` : part.replace(/[.*+?^$()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+const operations = Object.entries(spec.paths).flatMap(([template, item]) =>
+  METHODS.filter(method => item[method]).map(method => ({
+    method: method.toUpperCase(),
+    template,
+    pattern: pathPattern(template),
+    operation: item[method],
+    parameters: [...(item.parameters || []), ...(item[method].parameters || [])],
+    validators: new Map()
+  }))
+);
+
+function findOperation(req) {
+  for (const entry of operations) {
+    if (entry.method !== req.method) continue;
+    const match = entry.pattern.exec(req.path);
+    if (match) return { entry, params: { ...match.groups } };
+  }
+  return null;
+}
+
+function cached(entry, key, compile) {
+  if (!entry.validators.has(key)) {
+    entry.validators.set(key, compile());
+  }
+  return entry.validators.get(key);
+}
+
+function parametersValidator(entry, location) {
+  return cached(entry, location, () => {
+    const parameters = entry.parameters.filter(parameter => parameter.in === location);
+    if (parameters.length === 0) return null;
+    return requestAjv.compile({
+      type: 'object',
+      properties: Object.fromEntries(parameters.map(parameter => [parameter.name, parameter.schema])),
+      required: parameters.filter(parameter => parameter.required).map(parameter => parameter.name)
+    });
+  });
+}
+
+// Text fields of a multipart body. Files are checked by validateUpload and by
+// each route, which can say more than "required property".
+function formValidator(entry) {
+  return cached(entry, 'form', () => {
+    const schema = entry.operation.requestBody?.content?.['multipart/form-data']?.schema;
+    if (!schema) return null;
+    const fields = Object.entries(schema.properties).filter(([, property]) => property.format !== 'binary');
+    return requestAjv.compile({
+      type: 'object',
+      properties: Object.fromEntries(fields),
+      required: (schema.required || []).filter(name => fields.some(([field]) => field === name))
+    });
+  });
+}
+
+// JSON bodies arrive typed, so they are checked without coercion
+function jsonBodyValidator(entry) {
+  return cached(entry, 'json', () => {
+    if (!entry.operation.requestBody?.content?.['application/json']) return null;
+    const method = entry.method.toLowerCase();
+    return responseAjv.compile({
+      $ref: pointer('paths', entry.template, method, 'requestBody', 'content', 'application/json', 'schema')
+    });
+  });
+}
+
+function responseValidator(entry, status) {
+  return cached(entry, `response:${status}`, () => {
+    const responses = entry.operation.responses;
+    const key = responses[status] ? String(status) : responses.default ? 'default' : null;
+    if (!key || !responses[key].content?.['application/json']) return null;
+    const method = entry.method.toLowerCase();
+    return responseAjv.compile({
+      $ref: pointer('paths', entry.template, method, 'responses', key, 'content', 'application/json', 'schema')
+    });
+  });
+}
+
+function formatErrors(errors, location) {
+  return errors.map(error => ({
+    in: location,
+    path: error.instancePath || '/',
+    message: `${location}${error.instancePath} ${error.message}`
+  }));
+}
+
+function rejectRequest(res, details) {
+  res.status(400).json({
+    error: 'Invalid request',
+    code: 'REQUEST_VALIDATION_FAILED',
+    message: details.map(detail => detail.message).join('; '),
+    details
+  });
+}
+
+// Checks path and query parameters and JSON bodies of documented routes.
+// Multipart fields are only parsed by multer inside a route, so upload routes
+// add validateForm.
+function validateRequest(req, res, next) {
+  const match = findOperation(req);
+  if (!match) return next();
+
+  const details = [];
+  for (const [location, values] of [['path', match.params], ['query', { ...req.query }]]) {
+    const validate = parametersValidator(match.entry, location);
+    if (validate && !validate(values)) {
+      details.push(...formatErrors(validate.errors, location));
+    }
+  }
+
+  const validateBody = jsonBodyValidator(match.entry);
+  if (validateBody && !validateBody(req.body)) {
+    details.push(...formatErrors(validateBody.errors, 'body'));
+  }
+
+  if (details.length > 0) {
+    return rejectRequest(res, details);
+  }
+  next();
+}
+
+// Checks the text fields of a multipart upload, after multer. Rejected
+// uploads are deleted straight away.
+async function validateForm(req, res, next) {
+  const match = findOperation(req);
+  const validate = match && formValidator(match.entry);
+  if (!validate || validate({ ...req.body })) return next();
+
+  const files = req.file ? [req.file] : Object.values(req.files || {}).flat();
+  for (const file of files) {
+    await fs.rm(file.path, { force: true });
+  }
+  rejectRequest(res, formatErrors(validate.errors, 'body'));
+}
+
+// Checks JSON responses of documented routes against the spec before sending
+function validateResponses(req, res, next) {
+  if (RESPONSE_VALIDATION === 'off') return next();
+
+  const send = res.json.bind(res);
+  res.json = body => {
+    const match = findOperation(req);
+    const validate = match && responseValidator(match.entry, res.statusCode);
+    if (!validate || validate(body)) return send(body);
+
+    const details = formatErrors(validate.errors, 'response');
+    logger.error('Response does not match the API specification', {
+      operationId: match.entry.operation.operationId,
+      status: res.statusCode,
+      details
+    });
+    if (RESPONSE_VALIDATION === 'log') return send(body);
+
+    res.status(500);
+    return send({
+      error: 'Response failed validation',
+      code: 'RESPONSE_VALIDATION_FAILED',
+      message: details.map(detail => detail.message).join('; '),
+      details
+    });
+  };
+  next();
+}
+
+const backendValidators = {};
+
+// Throws a BackendContractError when a backend payload has drifted from the
+// shape the rest of the service relies on
+function validateBackendResult(modality, payload) {
+  const { backend, schema } = BACKEND_SCHEMAS[modality];
+  backendValidators[modality] ||= responseAjv.compile({ $ref: pointer('components', 'schemas', schema) });
+
+  const validate = backendValidators[modality];
+  if (!validate(payload)) {
+    throw new BackendContractError(backend, formatErrors(validate.errors, 'result'));
+  }
+}
+
+module.exports = {
+  spec,
+  validateRequest,
+  validateForm,
+  validateResponses,
+  validateBackendResult,
+  BackendContractError
+};
@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { currentApiKey } = require('./context');
+const { logger } = require('./logger');
+const { suspiciousRegions } = require('./segments');
+
+const MODALITIES = ['image', 'audio', 'video'];
+
+// The score bands the web UI has always shown, used for anything the policy
+// file leaves out
+const DEFAULT_THRESHOLDS = { artificial: 0.7, authentic: 0.3 };
+
+function checkThresholds(thresholds, where) {
+  const { artificial, authentic } = thresholds;
+  for (const [name, value] of [['artificial', artificial], ['authentic', authentic]]) {
+    if (typeof value !== 'number' || value < 0 || value > 1) {
+      throw new Error(`${where}.${name} must be a number from 0 to 1`);
+    }
+  }
+  if (authentic > artificial) {
+    throw new Error(`${where}.authentic must not be above ${where}.artificial`);
+  }
+}
+
+// Thresholds per modality: a modality's own, else the policy's shared ones,
+// else those of the policy it extends
+function resolveThresholds(config = {}, fallback, where) {
+  const shared = { ...(config.thresholds?.default || {}) };
+  return Object.fromEntries(MODALITIES.map(modality => {
+    const thresholds = { ...fallback[modality], ...shared, ...(config.thresholds?.[modality] || {}) };
+    checkThresholds(thresholds, `${where}.thresholds.${modality}`);
+    return [modality, thresholds];
+  }));
+}
+
+// Short content hash, so edits to a file without a version still show up
+function hashVersion(config) {
+  return crypto.createHash('sha256').update(JSON.stringify(config)).digest('hex').slice(0, 12);
+}
+
+// Loads the decision policy from a JSON file of the form
+//   { "version": "2026-10-01",
+//     "thresholds": { "default": { "artificial": 0.7, "authentic": 0.3 },
+//                     "audio": { "artificial": 0.8, "authentic": 0.4 } },
+//     "keys": { "<API key name>": { "version": "...", "thresholds": { ... } } } }
+// Entries under "keys" apply to requests made with that API key and fill in
+// what they leave out from the top-level policy. Without a file the built-in
+// 0.7 / 0.3 thresholds apply to every modality.
+function loadPolicies(filePath) {
+  const builtIn = Object.fromEntries(MODALITIES.map(modality => [modality, { ...DEFAULT_THRESHOLDS }]));
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { base: { name: 'default', version: 'builtin', thresholds: builtIn }, keys: new Map() };
+    }
+    throw new Error(`Unable to read the decision policy from ${filePath}: ${error.message}`);
+  }
+
+  try {
+    const base = {
+      name: 'default',
+      version: String(config.version ?? hashVersion(config)),
+      thresholds: resolveThresholds(config, builtIn, 'policy')
+    };
+    const keys = new Map(Object.entries(config.keys || {}).map(([name, entry]) => [name, {
+      name,
+      version: String(entry.version ?? base.version),
+      thresholds: resolveThresholds(entry, base.thresholds, `policy.keys.${name}`)
+    }]));
+    return { base, keys };
+  } catch (error) {
+    throw new Error(`Invalid decision policy in ${filePath}: ${error.message}`);
+  }
+}
+
+// ARTIFICIAL at or above `artificial`, AUTHENTIC at or below `authentic`,
+// INCONCLUSIVE in between. Without a score the backend's decision stands.
+function decide(thresholds, score, backendDecision) {
+  if (typeof score !== 'number') return backendDecision;
+  if (score >= thresholds.artificial) return 'ARTIFICIAL';
+  if (score <= thresholds.authentic) return 'AUTHENTIC';
+  return 'INCONCLUSIVE';
+}
+
+function createPolicies(filePath) {
+  const { base, keys } = loadPolicies(filePath);
+  logger.info('Decision policy loaded', { version: base.version, keyPolicies: keys.size });
+
+  // The policy for an API key (as resolved by auth), or the default one
+  function forKey(apiKey) {
+    return (apiKey && keys.get(apiKey.name)) || base;
+  }
+
+  // The policy for the request being handled
+  function current() {
+    return forKey(currentApiKey());
+  }
+
+  // Applies the current policy to a result summary. The outcome, with the
+  // policy it came from, is what responses carry as `policy`.
+  function apply(modality, { decision, score }) {
+    const policy = current();
+    const thresholds = policy.thresholds[modality];
+    return {
+      name: policy.name,
+      version: policy.version,
+      thresholds,
+      decision: decide(thresholds, score, decision),
+      backendDecision: decision
+    };
+  }
+
+  // Re-decides the frames of a video and the segments of a long recording,
+  // and the verdicts built on them, under the current policy, so they agree
+  // with the overall decision. The backend's decisions are kept as
+  // `backendDecision`.
+  function applyToParts(modality, result) {
+    const thresholds = current().thresholds[modality];
+    const redecide = part => part && {
+      ...part,
+      decision: decide(thresholds, part.score, part.decision),
+      backendDecision: part.decision
+    };
+
+    if (modality === 'video' && result.frames) {
+      const frames = result.frames.map(redecide);
+      const audio = redecide(result.audio);
+      return {
+        ...result,
+        frames,
+        audio,
+        aggregate: {
+          ...result.aggregate,
+          visual: {
+            ...redecide(result.aggregate.visual),
+            artificialFrames: frames.filter(frame => frame.decision === 'ARTIFICIAL').length
+          },
+          audio: audio ? { decision: audio.decision, score: audio.score } : null
+        }
+      };
+    }
+
+    if (result.segments) {
+      const segments = result.segments.map(redecide);
+      return {
+        ...result,
+        segments,
+        aggregate: {
+          ...result.aggregate,
+          artificialSegments: segments.filter(segment => segment.decision === 'ARTIFICIAL').length,
+          regions: suspiciousRegions(segments)
+        }
+      };
+    }
+
+    return result;
+  }
+
+  return { forKey, current, apply, applyToParts };
+}
+
+module.exports = { createPolicies, decide, DEFAULT_THRESHOLDS };
@@ -0,0 +1,128 @@
+const axios = require('axios');
+const { EventEmitter } = require('events');
+const { logger } = require('./logger');
+const { isConnectionError } = require('./breaker');
+
+// "http://a:5000, http://b:5000" -> ['http://a:5000', 'http://b:5000']
+function parseEndpoints(value) {
+  return value.split(',').map(url => url.trim().replace(/\/+$/, '')).filter(Boolean);
+}
+
+function isTimeout(error) {
+  return error.code === 'ECONNABORTED' || error.message.includes('timeout');
+}
+
+// Replicas of one backend. Calls go to the healthy replica with the fewest
+// requests in flight. A replica leaves the rotation when its /health check
+// fails or a call to it cannot connect, and rejoins once /health passes
+// again. If every replica is out, all of them are tried rather than none.
+// Emits 'change' when a replica goes up or down.
+class BackendPool extends EventEmitter {
+  constructor(name, urls, { healthTimeoutMs = 2000, checkIntervalMs = 5000 } = {}) {
+    super();
+    if (urls.length === 0) {
+      throw new Error(`No endpoints configured for ${name}`);
+    }
+    this.name = name;
+    this.healthTimeoutMs = healthTimeoutMs;
+    this.replicas = urls.map(url => ({
+      url,
+      healthy: true,
+      busy: false,
+      outstanding: 0,
+      details: null,
+      error: null,
+      lastCheckedAt: null
+    }));
+    this.checking = null;
+
+    this.timer = setInterval(() => this.checkAll(), checkIntervalMs);
+    this.timer.unref();
+  }
+
+  get size() {
+    return this.replicas.length;
+  }
+
+  healthy() {
+    return this.replicas.filter(replica => replica.healthy);
+  }
+
+  // Least outstanding requests; ties go to the replica listed first
+  pick() {
+    const candidates = this.healthy().length > 0 ? this.healthy() : this.replicas;
+    return candidates.reduce((best, replica) => replica.outstanding < best.outstanding ? replica : best);
+  }
+
+  // Runs `fn(url)` against the picked replica
+  async use(fn) {
+    const replica = this.pick();
+    replica.outstanding++;
+    try {
+      return await fn(replica.url);
+    } catch (error) {
+      if (isConnectionError(error)) {
+        this.markDown(replica, error);
+      }
+      throw error;
+    } finally {
+      replica.outstanding--;
+    }
+  }
+
+  // Checks every replica at once; concurrent callers share one round
+  checkAll() {
+    if (!this.checking) {
+      this.checking = Promise.all(this.replicas.map(replica => this.check(replica)))
+        .finally(() => { this.checking = null; });
+    }
+    return this.checking;
+  }
+
+  async check(replica) {
+    try {
+      const response = await axios.get(`${replica.url}/health`, { timeout: this.healthTimeoutMs });
+      replica.details = response.data;
+      replica.busy = false;
+      this.markUp(replica);
+    } catch (error) {
+      // A replica that is working on our requests may be too busy to answer
+      if (isTimeout(error) && replica.outstanding > 0) {
+        replica.busy = true;
+      } else {
+        this.markDown(replica, error);
+      }
+    } finally {
+      replica.lastCheckedAt = new Date().toISOString();
+    }
+  }
+
+  markUp(replica) {
+    replica.error = null;
+    if (replica.healthy) return;
+    replica.healthy = true;
+    logger.info('Backend replica back in rotation', { backend: this.name, url: replica.url });
+    this.emit('change', this.status());
+  }
+
+  markDown(replica, error) {
+    replica.error = error.message;
+    if (!replica.healthy) return;
+    replica.healthy = false;
+    logger.warn('Backend replica taken out of rotation', { backend: this.name, url: replica.url, error: error.message });
+    this.emit('change', this.status());
+  }
+
+  status() {
+    return this.replicas.map(replica => ({
+      url: replica.url,
+      healthy: replica.healthy,
+      busy: replica.busy,
+      outstanding: replica.outstanding,
+      lastCheckedAt: replica.lastCheckedAt,
+      ...(replica.error ? { error: replica.error } : {})
+    }));
+  }
+}
+
+module.exports = { BackendPool, parseEndpoints };
@@ -0,0 +1,120 @@
+const { AsyncResource } = require('async_hooks');
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+
+class QueueFullError extends Error {
+  constructor(name, retryAfter) {
+    super(`The ${name} queue is full. Please try again later.`);
+    this.name = 'QueueFullError';
+    this.status = 429;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Bounded FIFO work queue. At most `concurrency` tasks run at once and at
+// most `maxDepth` tasks wait behind them; anything beyond that is rejected
+// with a QueueFullError. Emits 'change' whenever a task is queued, starts,
+// finishes or is cancelled.
+class WorkQueue extends EventEmitter {
+  constructor({ name, concurrency = 1, maxDepth = 10, retryAfter = 30 } = {}) {
+    super();
+    this.name = name;
+    this.concurrency = concurrency;
+    this.maxDepth = maxDepth;
+    this.retryAfter = retryAfter;
+    this.pending = [];
+    this.active = new Set();
+  }
+
+  get running() {
+    return this.active.size;
+  }
+
+  get queued() {
+    return this.pending.length;
+  }
+
+  isFull() {
+    return this.running >= this.concurrency && this.queued >= this.maxDepth;
+  }
+
+  // Returns a ticket whose `promise` settles with the task's result and whose
+  // `position()` is the 1-based place in line (0 once the task is running).
+  enqueue(task, { signal, onStart } = {}) {
+    // An abort that already happened would never fire the listener below
+    signal?.throwIfAborted();
+    if (this.isFull()) {
+      throw new QueueFullError(this.name, this.retryAfter);
+    }
+
+    // Tasks run in the async context of whoever queued them, not whichever
+    // task happened to finish and free up the slot
+    const entry = { id: uuidv4(), task: AsyncResource.bind(task), onStart };
+    const ticket = {
+      id: entry.id,
+      position: () => this.position(entry.id),
+      promise: new Promise((resolve, reject) => {
+        entry.resolve = resolve;
+        entry.reject = reject;
+      })
+    };
+
+    if (signal) {
+      const onAbort = () => {
+        const index = this.pending.indexOf(entry);
+        if (index !== -1) {
+          this.pending.splice(index, 1);
+          entry.reject(signal.reason);
+          this.emit('change', this.stats());
+        }
+      };
+      signal.addEventListener('abort', onAbort, { once: true });
+      // A signal shared by many tasks (a video's frames) would otherwise keep
+      // one listener per task for as long as the signal lives
+      entry.detach = () => signal.removeEventListener('abort', onAbort);
+    }
+
+    this.pending.push(entry);
+    this.drain();
+    this.emit('change', this.stats());
+
+    return ticket;
+  }
+
+  position(id) {
+    for (const entry of this.active) {
+      if (entry.id === id) return 0;
+    }
+    const index = this.pending.findIndex(entry => entry.id === id);
+    return index === -1 ? null : index + 1;
+  }
+
+  drain() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      const entry = this.pending.shift();
+      entry.detach?.();
+      this.active.add(entry);
+      entry.onStart?.();
+
+      Promise.resolve()
+        .then(() => entry.task())
+        .then(entry.resolve, entry.reject)
+        .finally(() => {
+          this.active.delete(entry);
+          this.drain();
+          this.emit('change', this.stats());
+        });
+    }
+  }
+
+  stats() {
+    return {
+      running: this.running,
+      queued: this.queued,
+      concurrency: this.concurrency,
+      maxDepth: this.maxDepth
+    };
+  }
+}
+
+module.exports = { WorkQueue, QueueFullError };
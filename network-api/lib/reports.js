@@ -0,0 +1,268 @@
+// Shareable reports of a batch of results: CSV for spreadsheets, and a
+// self-contained HTML page that prints cleanly (or saves as PDF from the
+// browser's print dialog)
+
+const HISTOGRAM_BINS = 10;
+// Nothing in the page may load or run anything; thumbnails are data URLs. Sent
+// as a header and repeated in the page, which the web UI prints from srcdoc.
+const REPORT_CSP = "default-src 'none'; img-src data:; style-src 'unsafe-inline'";
+
+const CSV_COLUMNS = [
+  ['filename', file => file.filename],
+  ['type', file => file.modality],
+  ['decision', file => file.decision],
+  ['score', file => file.score],
+  ['analyzedAt', file => file.analyzedAt],
+  ['durationMs', file => file.durationMs],
+  ['cached', file => file.cached],
+  ['regions', file => (file.regions || []).map(region => `${region.start}-${region.end}`).join('; ')],
+  ['modelVersions', file => Object.entries(file.modelVersions || {}).map(([backend, version]) => `${backend}=${version}`).join('; ')],
+  ['policyVersion', file => file.policyVersion],
+  ['requestId', file => file.requestId]
+];
+
+// Counts by decision, a histogram of scores in [0, 1] and every model and
+// decision policy version seen across the files
+function buildReport({ title, files }) {
+  const decisions = {};
+  const histogram = Array.from({ length: HISTOGRAM_BINS }, (_, i) => ({
+    from: i / HISTOGRAM_BINS,
+    to: (i + 1) / HISTOGRAM_BINS,
+    count: 0
+  }));
+  const modelVersions = {};
+  const policyVersions = [];
+  const scores = [];
+
+  for (const file of files) {
+    decisions[file.decision] = (decisions[file.decision] || 0) + 1;
+    if (typeof file.score === 'number') {
+      scores.push(file.score);
+      const bin = Math.min(Math.floor(file.score * HISTOGRAM_BINS), HISTOGRAM_BINS - 1);
+      histogram[Math.max(bin, 0)].count++;
+    }
+    for (const [backend, version] of Object.entries(file.modelVersions || {})) {
+      modelVersions[backend] ||= [];
+      if (!modelVersions[backend].includes(version)) {
+        modelVersions[backend].push(version);
+      }
+    }
+    if (file.policyVersion && !policyVersions.includes(file.policyVersion)) {
+      policyVersions.push(file.policyVersion);
+    }
+  }
+
+  return {
+    title: title || 'Analysis report',
+    generatedAt: new Date().toISOString(),
+    summary: {
+      total: files.length,
+      decisions,
+      meanScore: scores.length > 0 ? scores.reduce((sum, score) => sum + score, 0) / scores.length : null,
+      histogram
+    },
+    modelVersions,
+    policyVersions,
+    files
+  };
+}
+
+// Quotes fields that need it, and defuses values a spreadsheet would run as a
+// formula
+function csvField(value) {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function renderCsv(report) {
+  const lines = [CSV_COLUMNS.map(([name]) => name).join(',')];
+  for (const file of report.files) {
+    lines.push(CSV_COLUMNS.map(([, value]) => csvField(value(file))).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatScore(score) {
+  return typeof score === 'number' ? `${(score * 100).toFixed(1)}%` : '—';
+}
+
+function formatTimestamp(value) {
+  if (!value) return '—';
+  return new Date(value).toISOString().replace('T', ' ').replace(/\.\d+Z$/, ' UTC');
+}
+
+// 75.5 -> "1:15.5"
+function formatOffset(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  const rest = (seconds - minutes * 60).toFixed(1).padStart(4, '0');
+  return `${minutes}:${rest}`;
+}
+
+function decisionClass(decision) {
+  return ['ARTIFICIAL', 'AUTHENTIC', 'INCONCLUSIVE'].includes(decision) ? `decision-${decision.toLowerCase()}` : 'decision-unknown';
+}
+
+function renderSummary(report) {
+  const { summary } = report;
+  const decisions = Object.entries(summary.decisions)
+    .sort(([, a], [, b]) => b - a)
+    .map(([decision, count]) => `
+        <tr>
+          <td><span class="decision ${decisionClass(decision)}">${escapeHtml(decision)}</span></td>
+          <td class="number">${count}</td>
+          <td class="number">${((count / summary.total) * 100).toFixed(1)}%</td>
+        </tr>`)
+    .join('');
+
+  const highest = Math.max(1, ...summary.histogram.map(bin => bin.count));
+  const bars = summary.histogram.map(bin => `
+        <div class="bin" title="${bin.from.toFixed(1)}–${bin.to.toFixed(1)}: ${bin.count}">
+          <span class="bin-count">${bin.count || ''}</span>
+          <div class="bar" style="height: ${(bin.count / highest) * 100}%"></div>
+        </div>`).join('');
+  const labels = summary.histogram.map(bin => `<span>${bin.from.toFixed(1)}</span>`).join('');
+
+  return `
+    <section class="summary">
+      <div>
+        <h2>Decisions</h2>
+        <table class="decisions">
+          <thead><tr><th>Decision</th><th class="number">Files</th><th class="number">Share</th></tr></thead>
+          <tbody>${decisions}
+          </tbody>
+          <tfoot><tr><td>Total</td><td class="number">${summary.total}</td><td class="number">Mean score ${formatScore(summary.meanScore)}</td></tr></tfoot>
+        </table>
+      </div>
+      <div>
+        <h2>Score distribution</h2>
+        <div class="histogram">${bars}
+        </div>
+        <div class="histogram-axis">${labels}<span>1.0</span></div>
+      </div>
+    </section>`;
+}
+
+function renderModelVersions(report) {
+  const policy = report.policyVersions.length > 0
+    ? `
+    <p>Decision policy ${report.policyVersions.map(escapeHtml).join(', ')}</p>`
+    : '';
+  const entries = Object.entries(report.modelVersions);
+  if (entries.length === 0) {
+    return `${policy}
+    <p class="muted">No model versions were reported.</p>`;
+  }
+  const rows = entries.map(([backend, versions]) => `
+        <tr><td>${escapeHtml(backend)}</td><td>${versions.map(escapeHtml).join(', ')}</td></tr>`).join('');
+  return `${policy}
+    <table class="versions">
+      <thead><tr><th>Backend</th><th>Model version</th></tr></thead>
+      <tbody>${rows}
+      </tbody>
+    </table>`;
+}
+
+function renderFiles(report) {
+  const rows = report.files.map(file => {
+    const thumbnail = file.thumbnail
+      ? `<img src="${escapeHtml(file.thumbnail)}" alt="">`
+      : `<span class="placeholder">${escapeHtml(file.modality)}</span>`;
+    const regions = (file.regions || [])
+      .map(region => `${formatOffset(region.start)}–${formatOffset(region.end)}`)
+      .join(', ');
+    return `
+        <tr>
+          <td class="thumbnail">${thumbnail}</td>
+          <td class="filename">${escapeHtml(file.filename)}${regions ? `<div class="regions">Flagged: ${escapeHtml(regions)}</div>` : ''}</td>
+          <td>${escapeHtml(file.modality)}</td>
+          <td><span class="decision ${decisionClass(file.decision)}">${escapeHtml(file.decision)}</span></td>
+          <td class="number">${formatScore(file.score)}</td>
+          <td>${escapeHtml(formatTimestamp(file.analyzedAt))}${file.cached ? ' <span class="muted">(cached)</span>' : ''}</td>
+        </tr>`;
+  }).join('');
+
+  return `
+    <table class="files">
+      <thead><tr><th></th><th>File</th><th>Type</th><th>Decision</th><th class="number">Score</th><th>Analyzed</th></tr></thead>
+      <tbody>${rows}
+      </tbody>
+    </table>`;
+}
+
+const STYLES = `
+    :root { --positive: 94, 113, 0; --negative: 193, 61, 35; --attention: 163, 108, 0; --off-black: 33, 33, 33; }
+    * { box-sizing: border-box; }
+    body { margin: 0 auto; max-width: 1000px; padding: 32px; color: rgb(var(--off-black));
+      font: 13px/1.5 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; }
+    h1 { margin: 0; font-size: 22px; }
+    h2 { margin: 24px 0 8px; font-size: 15px; }
+    .muted { color: rgba(var(--off-black), 0.6); }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { padding: 6px 8px; border-bottom: 1px solid rgba(var(--off-black), 0.1); text-align: left; vertical-align: middle; }
+    th { font-weight: 600; color: rgba(var(--off-black), 0.7); }
+    tfoot td { font-weight: 600; border-bottom: none; }
+    .number { text-align: right; white-space: nowrap; }
+    .summary { display: grid; grid-template-columns: 1fr 1fr; gap: 32px; }
+    .decision { display: inline-block; padding: 2px 8px; border-radius: 10px; font-size: 11px; font-weight: 600; }
+    .decision-artificial { background: rgba(var(--negative), 0.1); color: rgb(var(--negative)); }
+    .decision-authentic { background: rgba(var(--positive), 0.1); color: rgb(var(--positive)); }
+    .decision-inconclusive { background: rgba(var(--attention), 0.12); color: rgb(var(--attention)); }
+    .decision-unknown { background: rgba(var(--off-black), 0.05); color: rgba(var(--off-black), 0.7); }
+    .histogram { display: flex; align-items: flex-end; gap: 4px; height: 140px; border-bottom: 1px solid rgba(var(--off-black), 0.3); }
+    .bin { flex: 1; height: 100%; display: flex; flex-direction: column; justify-content: flex-end; align-items: center; }
+    .bin-count { font-size: 10px; color: rgba(var(--off-black), 0.6); }
+    .bar { width: 100%; background: rgba(var(--off-black), 0.55); border-radius: 2px 2px 0 0;
+      -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    .histogram-axis { display: flex; justify-content: space-between; font-size: 10px; color: rgba(var(--off-black), 0.6); }
+    .thumbnail { width: 64px; }
+    .thumbnail img { display: block; width: 56px; height: 56px; object-fit: cover; border-radius: 4px; }
+    .placeholder { display: flex; width: 56px; height: 56px; align-items: center; justify-content: center;
+      border-radius: 4px; background: rgba(var(--off-black), 0.05); font-size: 10px; color: rgba(var(--off-black), 0.6); }
+    .filename { word-break: break-all; }
+    .regions { font-size: 11px; color: rgb(var(--negative)); }
+    @media print {
+      body { padding: 0; max-width: none; }
+      .decision { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+      tr { break-inside: avoid; }
+      thead { display: table-header-group; }
+    }`;
+
+function renderHtml(report) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta http-equiv="Content-Security-Policy" content="${REPORT_CSP}">
+  <title>${escapeHtml(report.title)}</title>
+  <style>${STYLES}
+  </style>
+</head>
+<body>
+  <header>
+    <h1>${escapeHtml(report.title)}</h1>
+    <div class="muted">${report.summary.total} file${report.summary.total === 1 ? '' : 's'} · generated ${escapeHtml(formatTimestamp(report.generatedAt))}</div>
+  </header>
+${renderSummary(report)}
+  <h2>Model versions</h2>
+${renderModelVersions(report)}
+  <h2>Files</h2>
+${renderFiles(report)}
+</body>
+</html>
+`;
+}
+
+module.exports = { buildReport, renderCsv, renderHtml, REPORT_CSP };
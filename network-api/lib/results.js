@@ -0,0 +1,174 @@
+const { suspiciousRegions } = require('./segments');
+
+// Pulls the headline decision and score out of a raw backend result. Once a
+// decision policy has been applied, its decision is the one that counts.
+function summarizeResult(modality, result) {
+  if (result?.policy) {
+    const { policy, ...backend } = result;
+    return { ...summarizeResult(modality, backend), decision: policy.decision };
+  }
+
+  if (modality === 'image') {
+    const ensemble = result?.['rd-img-ensemble'];
+    return {
+      decision: ensemble?.decision || 'UNKNOWN',
+      score: typeof ensemble?.score === 'number' ? ensemble.score : null
+    };
+  }
+
+  // Videos, and audio analysed segment by segment, carry an aggregate verdict
+  if (modality === 'video' || result?.segments) {
+    return {
+      decision: result?.aggregate?.decision || 'UNKNOWN',
+      score: typeof result?.aggregate?.score === 'number' ? result.aggregate.score : null
+    };
+  }
+
+  const decision = result?.final_decision || result?.decision || result?.prediction;
+  const score = [result?.final_probability, result?.probability, result?.score]
+    .find(value => typeof value === 'number');
+
+  return {
+    decision: decision || 'UNKNOWN',
+    score: score !== undefined ? score : null
+  };
+}
+
+function isModelOutput(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value) &&
+    (typeof value.decision === 'string' || typeof value.score === 'number');
+}
+
+// Individual model outputs in one backend payload. vision-api reports each
+// model under its own key next to the ensemble; an audio-api payload without
+// nested outputs counts as a single model.
+function payloadModels(modality, result) {
+  const models = Object.entries(result || {})
+    .filter(([name, value]) => name !== 'rd-img-ensemble' && isModelOutput(value))
+    .map(([name, value]) => ({
+      name,
+      decision: value.decision || 'UNKNOWN',
+      score: typeof value.score === 'number' ? value.score : null
+    }));
+
+  if (models.length === 0 && modality === 'audio') {
+    return [{ name: 'audio-api', ...summarizeResult('audio', result) }];
+  }
+  return models;
+}
+
+// Combines the outputs of the same model across frames or segments: ARTIFICIAL
+// if it ever was, with its highest score
+function mergeModels(outputs) {
+  const merged = new Map();
+  for (const output of outputs) {
+    const current = merged.get(output.name);
+    if (!current) {
+      merged.set(output.name, { ...output });
+      continue;
+    }
+    if (output.decision === 'ARTIFICIAL' || current.decision === 'UNKNOWN') {
+      current.decision = output.decision;
+    }
+    if (typeof output.score === 'number' && (current.score === null || output.score > current.score)) {
+      current.score = output.score;
+    }
+  }
+  return Array.from(merged.values());
+}
+
+function modelBreakdown(modality, result) {
+  if (modality === 'video') {
+    return mergeModels([
+      ...(result.frames || []).flatMap(frame => payloadModels('image', frame.result)),
+      ...(result.audio ? payloadModels('audio', result.audio.result) : [])
+    ]);
+  }
+  if (result?.segments) {
+    return mergeModels(result.segments.flatMap(segment => payloadModels(modality, segment.result)));
+  }
+  return payloadModels(modality, result);
+}
+
+function isFraction(value) {
+  return typeof value === 'number' && value >= 0 && value <= 1;
+}
+
+// Where in an image the ensemble found signs of generation, when vision-api
+// says: a `heatmap` grid of scores (rows of columns) and/or `boxes`, both in
+// fractions of the image's size. Null when it sent neither.
+function imageLocalization(modality, result) {
+  const ensemble = modality === 'image' ? result?.['rd-img-ensemble'] : null;
+  const heatmap = Array.isArray(ensemble?.heatmap) && ensemble.heatmap.length > 0 &&
+    ensemble.heatmap.every(row => Array.isArray(row) && row.length === ensemble.heatmap[0].length && row.every(isFraction))
+    ? ensemble.heatmap
+    : null;
+  const boxes = (Array.isArray(ensemble?.boxes) ? ensemble.boxes : [])
+    .filter(box => ['x', 'y', 'width', 'height'].every(side => isFraction(box?.[side])))
+    .map(({ x, y, width, height, score, label }) => ({
+      x,
+      y,
+      width,
+      height,
+      score: typeof score === 'number' ? score : null,
+      label: typeof label === 'string' ? label : null
+    }));
+
+  if (!heatmap && boxes.length === 0) return null;
+  return { heatmap, boxes };
+}
+
+// Scored spans of a video or segmented recording, or null for a single verdict
+function resultTimeline(modality, result) {
+  let spans;
+  let duration;
+
+  if (modality === 'video') {
+    const frameSeconds = 1 / (result.frameRate || 1);
+    spans = (result.frames || []).map(frame => ({
+      index: frame.index,
+      start: frame.timestamp,
+      end: frame.timestamp + frameSeconds
+    }));
+    duration = spans.length > 0 ? spans[spans.length - 1].end : 0;
+  } else if (result?.segments) {
+    spans = result.segments.map(({ index, start, end }) => ({ index, start, end }));
+    duration = result.duration;
+  } else {
+    return null;
+  }
+
+  const source = modality === 'video' ? result.frames : result.segments;
+  spans = spans.map((span, i) => ({ ...span, decision: source[i].decision, score: source[i].score }));
+
+  return {
+    duration,
+    segments: spans,
+    regions: suspiciousRegions(spans)
+  };
+}
+
+// The response shape of the /v1 API, the same for every modality. `details`
+// comes from the analysis itself (model versions and timing).
+function normalizeResult(modality, result, details = {}) {
+  const { cached, policy, ...raw } = result || {};
+
+  return {
+    modality,
+    ...summarizeResult(modality, result),
+    policy: policy || null,
+    models: modelBreakdown(modality, raw),
+    modelVersions: details.modelVersions || {},
+    timing: {
+      startedAt: details.startedAt || null,
+      completedAt: details.completedAt || null,
+      durationMs: details.durationMs ?? null,
+      cached: cached === true
+    },
+    timeline: resultTimeline(modality, raw),
+    localization: imageLocalization(modality, raw),
+    raw
+  };
+}
+
+module.exports = { summarizeResult, normalizeResult };
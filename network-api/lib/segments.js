@@ -0,0 +1,126 @@
+const { runFfmpeg } = require('./ffmpeg');
+
+const AUDIO_SEGMENT_SECONDS = parseFloat(process.env.AUDIO_SEGMENT_SECONDS) || 30;
+const AUDIO_SEGMENT_OVERLAP_SECONDS = process.env.AUDIO_SEGMENT_OVERLAP_SECONDS !== undefined
+  ? parseFloat(process.env.AUDIO_SEGMENT_OVERLAP_SECONDS)
+  : 5;
+const AUDIO_SEGMENT_MAX_SEGMENTS = parseInt(process.env.AUDIO_SEGMENT_MAX_SEGMENTS, 10) || 120;
+
+const SEGMENT_MODES = ['true', 'auto'];
+
+// A recording that would be split into more than AUDIO_SEGMENT_MAX_SEGMENTS
+// windows: a client error, like invalid segmentation options
+class SegmentLimitError extends Error {
+  constructor(count) {
+    super(`The recording would be split into ${count} segments; ` +
+      `at most ${AUDIO_SEGMENT_MAX_SEGMENTS} are allowed. Use a longer segment_seconds.`);
+    this.name = 'SegmentLimitError';
+    this.count = count;
+  }
+}
+
+// Reads the segment, segment_seconds and segment_overlap form fields.
+// Returns { options } (null when segmentation was not asked for) or { error }.
+function parseSegmentOptions(body = {}) {
+  const mode = body.segment === undefined ? 'false' : String(body.segment).toLowerCase();
+  if (mode === 'false') {
+    return { options: null };
+  }
+  if (!SEGMENT_MODES.includes(mode)) {
+    return { error: 'segment must be true, false or auto' };
+  }
+
+  const windowSeconds = body.segment_seconds !== undefined
+    ? Number(body.segment_seconds)
+    : AUDIO_SEGMENT_SECONDS;
+  const overlapSeconds = body.segment_overlap !== undefined
+    ? Number(body.segment_overlap)
+    : Math.min(AUDIO_SEGMENT_OVERLAP_SECONDS, windowSeconds / 2);
+
+  if (!Number.isFinite(windowSeconds) || windowSeconds < 1) {
+    return { error: 'segment_seconds must be a number of seconds, at least 1' };
+  }
+  if (!Number.isFinite(overlapSeconds) || overlapSeconds < 0 || overlapSeconds >= windowSeconds) {
+    return { error: 'segment_overlap must be at least 0 and shorter than segment_seconds' };
+  }
+
+  return { options: { mode, windowSeconds, overlapSeconds } };
+}
+
+// Part of the cache key, so segmented and whole-file results are kept apart
+function segmentCacheVariant(options) {
+  return `segments-${options.mode}-${options.windowSeconds}-${options.overlapSeconds}`;
+}
+
+// Overlapping windows covering the whole recording. In auto mode a recording
+// that fits in one window is not segmented and null is returned.
+function planSegments(duration, { mode, windowSeconds, overlapSeconds }) {
+  if (mode === 'auto' && duration <= windowSeconds) {
+    return null;
+  }
+
+  const step = windowSeconds - overlapSeconds;
+  const segments = [];
+  for (let start = 0; ; start += step) {
+    const end = Math.min(start + windowSeconds, duration);
+    segments.push({ index: segments.length, start, end });
+    if (end >= duration) break;
+  }
+
+  if (segments.length > AUDIO_SEGMENT_MAX_SEGMENTS) {
+    throw new SegmentLimitError(segments.length);
+  }
+  return segments;
+}
+
+// Cuts one window out as a mono 16 kHz WAV
+function extractSegment(inputPath, segment, outputPath, signal) {
+  return runFfmpeg([
+    '-ss', String(segment.start),
+    '-t', String(segment.end - segment.start),
+    '-i', inputPath,
+    '-vn', '-ac', '1', '-ar', '16000',
+    outputPath
+  ], signal);
+}
+
+// Merges overlapping or touching ARTIFICIAL spans ({ index, start, end }) into
+// time ranges
+function suspiciousRegions(spans) {
+  const regions = [];
+  for (const span of spans.filter(item => item.decision === 'ARTIFICIAL')) {
+    const last = regions[regions.length - 1];
+    if (last && span.start <= last.end) {
+      last.end = Math.max(last.end, span.end);
+      last.segments.push(span.index);
+    } else {
+      regions.push({ start: span.start, end: span.end, segments: [span.index] });
+    }
+  }
+  return regions;
+}
+
+// The recording is ARTIFICIAL if any segment is
+function aggregateSegments(segments) {
+  const scored = segments.filter(segment => typeof segment.score === 'number');
+  const artificialSegments = segments.filter(segment => segment.decision === 'ARTIFICIAL').length;
+  const decided = segments.filter(segment => segment.decision !== 'UNKNOWN');
+
+  return {
+    decision: artificialSegments > 0 ? 'ARTIFICIAL' : decided.length > 0 ? 'AUTHENTIC' : 'UNKNOWN',
+    score: scored.length > 0 ? Math.max(...scored.map(segment => segment.score)) : null,
+    segmentCount: segments.length,
+    artificialSegments,
+    regions: suspiciousRegions(segments)
+  };
+}
+
+module.exports = {
+  parseSegmentOptions,
+  segmentCacheVariant,
+  planSegments,
+  extractSegment,
+  aggregateSegments,
+  suspiciousRegions,
+  SegmentLimitError
+};
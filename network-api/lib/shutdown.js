@@ -0,0 +1,84 @@
+const { logger } = require('./logger');
+
+// On SIGTERM/SIGINT: turn new uploads away, let the analyses in flight finish
+// until `drainMs` runs out, then run the registered cleanups and exit.
+// `pending()` counts work that outlives its request, such as jobs.
+class GracefulShutdown {
+  constructor({ drainMs = 25000, pending = () => 0, retryAfter = 30 } = {}) {
+    this.drainMs = drainMs;
+    this.pendingWork = pending;
+    this.retryAfter = retryAfter;
+    this.draining = false;
+    this.inFlight = 0;
+    this.cleanups = [];
+    this.guardUploads = this.guardUploads.bind(this);
+  }
+
+  // Middleware for the upload routes
+  guardUploads(req, res, next) {
+    if (this.draining) {
+      res.set('Connection', 'close');
+      res.set('Retry-After', String(this.retryAfter));
+      return res.status(503).json({
+        error: 'Shutting down',
+        code: 'SHUTTING_DOWN',
+        message: 'The server is shutting down. Please try again shortly.',
+        retryAfter: this.retryAfter
+      });
+    }
+
+    this.inFlight++;
+    res.on('close', () => {
+      this.inFlight--;
+    });
+    next();
+  }
+
+  pending() {
+    return this.inFlight + this.pendingWork();
+  }
+
+  // `cleanup({ drained })` runs after the drain, in registration order
+  onShutdown(cleanup) {
+    this.cleanups.push(cleanup);
+  }
+
+  listen(server) {
+    for (const signal of ['SIGTERM', 'SIGINT']) {
+      process.once(signal, () => this.shutdown(server, signal));
+    }
+  }
+
+  async shutdown(server, signal) {
+    if (this.draining) return;
+    this.draining = true;
+    logger.info('Shutting down', { signal, pending: this.pending(), drainMs: this.drainMs });
+
+    server.close();
+    server.closeIdleConnections();
+
+    const deadline = Date.now() + this.drainMs;
+    while (this.pending() > 0 && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+
+    const remaining = this.pending();
+    if (remaining > 0) {
+      logger.warn('Drain deadline passed; abandoning analyses in flight', { remaining });
+    }
+
+    for (const cleanup of this.cleanups) {
+      try {
+        await cleanup({ drained: remaining === 0 });
+      } catch (error) {
+        logger.error('Shutdown cleanup failed', { error });
+      }
+    }
+
+    logger.info('Shutdown complete');
+    await logger.flush();
+    process.exit(0);
+  }
+}
+
+module.exports = { GracefulShutdown };
@@ -0,0 +1,294 @@
+const fs = require('fs').promises;
+const path = require('path');
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  HeadBucketCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const { OutputWatcher, ResultTimeoutError, ResultMalformedError } = require('./watcher');
+const { logger } = require('./logger');
+
+// Files are exchanged with the backends in three areas, named after the
+// docker-compose volumes of the filesystem driver:
+//   test_images     images for vision-api
+//   output          vision-api results
+//   audio-requests  audio files and input JSON for audio-api
+const AREAS = ['test_images', 'output', 'audio-requests'];
+
+// Moves a local file, copying when the target is on another device (bind mounts)
+async function moveFile(from, to) {
+  try {
+    await fs.rename(from, to);
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error;
+    await fs.copyFile(from, to);
+    await fs.unlink(from);
+  }
+}
+
+// The shared volumes of docker-compose.yml. Backends get paths inside their
+// own containers.
+class FilesystemStorage {
+  constructor({ root = path.join(__dirname, '..') } = {}) {
+    this.driver = 'filesystem';
+    this.dirs = {
+      test_images: path.join(root, 'test_images'),
+      output: path.join(root, 'output'),
+      'audio-requests': path.join(root, 'test_audio')
+    };
+    this.backendPaths = {
+      test_images: '/app/test_images',
+      output: '/app/output',
+      'audio-requests': '/requests'
+    };
+    // Where audio-api keeps its own result files
+    this.audioOutput = '/results';
+    this.watcher = new OutputWatcher(this.dirs.output);
+    // Files this process handed off and has not removed yet: the volumes may
+    // be shared with other instances
+    this.ownFiles = new Set();
+  }
+
+  // Local directories the driver writes to, for readiness checks and the sweeper
+  localDirs() {
+    return this.dirs;
+  }
+
+  // Hands a local file to the backends; the local file is consumed
+  async put(area, name, localPath) {
+    await fs.mkdir(this.dirs[area], { recursive: true });
+    this.ownFiles.add(path.join(this.dirs[area], name));
+    await moveFile(localPath, path.join(this.dirs[area], name));
+  }
+
+  async putJson(area, name, data) {
+    await fs.mkdir(this.dirs[area], { recursive: true });
+    this.ownFiles.add(path.join(this.dirs[area], name));
+    await fs.writeFile(path.join(this.dirs[area], name), JSON.stringify(data), 'utf-8');
+  }
+
+  // What a backend is given to find a stored file
+  async ref(area, name) {
+    return `${this.backendPaths[area]}/${name}`;
+  }
+
+  async remove(area, name) {
+    await fs.rm(path.join(this.dirs[area], name), { force: true });
+    this.ownFiles.delete(path.join(this.dirs[area], name));
+  }
+
+  // vision-api writes into the output directory and reports the file name itself
+  async outputFor() {
+    await fs.mkdir(this.dirs.output, { recursive: true });
+    return { target: this.backendPaths.output, name: null };
+  }
+
+  waitForResult(name, options) {
+    return this.watcher.waitForResult(path.join(this.dirs.output, name), options);
+  }
+
+  async check() {
+    return { ok: true };
+  }
+
+  // The temp file sweeper covers localDirs() by age. With `ownOnly`, only
+  // the files this process created go, whatever their age.
+  async sweep({ ownOnly = false }) {
+    if (!ownOnly) return 0;
+
+    let removed = 0;
+    for (const filePath of this.ownFiles) {
+      await fs.rm(filePath, { force: true });
+      this.ownFiles.delete(filePath);
+      removed++;
+      logger.info('Removed orphaned temp file', { path: filePath });
+    }
+    return removed;
+  }
+}
+
+// An S3-compatible object store (AWS S3, MinIO, ...). Backends get pre-signed
+// URLs, so they need network access to the store but no credentials.
+class S3Storage {
+  constructor({
+    bucket,
+    prefix = '',
+    endpoint,
+    region = 'us-east-1',
+    accessKeyId,
+    secretAccessKey,
+    forcePathStyle = Boolean(endpoint),
+    urlExpiresSeconds = 900,
+    pollIntervalMs = 500
+  }) {
+    if (!bucket) {
+      throw new Error('S3_BUCKET is required for the s3 storage driver');
+    }
+    this.driver = 's3';
+    this.bucket = bucket;
+    this.prefix = prefix;
+    this.urlExpiresSeconds = urlExpiresSeconds;
+    this.pollIntervalMs = pollIntervalMs;
+    this.audioOutput = null;
+    // Keys this process wrote or asked a backend to write, and has not
+    // removed yet: the bucket may be shared with other instances
+    this.ownKeys = new Set();
+    this.client = new S3Client({
+      region,
+      endpoint,
+      forcePathStyle,
+      // Without explicit keys the SDK's default credential chain applies
+      ...(accessKeyId ? { credentials: { accessKeyId, secretAccessKey } } : {})
+    });
+  }
+
+  localDirs() {
+    return {};
+  }
+
+  key(area, name) {
+    return `${this.prefix}${area}/${name}`;
+  }
+
+  async put(area, name, localPath) {
+    const body = await fs.readFile(localPath);
+    this.ownKeys.add(this.key(area, name));
+    await this.client.send(new PutObjectCommand({ Bucket: this.bucket, Key: this.key(area, name), Body: body }));
+    await fs.unlink(localPath);
+  }
+
+  async putJson(area, name, data) {
+    this.ownKeys.add(this.key(area, name));
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.key(area, name),
+      Body: JSON.stringify(data),
+      ContentType: 'application/json'
+    }));
+  }
+
+  async ref(area, name) {
+    return getSignedUrl(this.client, new GetObjectCommand({ Bucket: this.bucket, Key: this.key(area, name) }), {
+      expiresIn: this.urlExpiresSeconds
+    });
+  }
+
+  async remove(area, name) {
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: this.key(area, name) }));
+    this.ownKeys.delete(this.key(area, name));
+  }
+
+  // vision-api uploads its result to a pre-signed URL for a key we choose
+  async outputFor(name) {
+    this.ownKeys.add(this.key('output', name));
+    const target = await getSignedUrl(this.client, new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.key('output', name)
+    }), { expiresIn: this.urlExpiresSeconds });
+    return { target, name };
+  }
+
+  // Objects appear whole, so the first successful read is the result
+  async waitForResult(name, { timeoutMs = 60000, signal } = {}) {
+    const key = this.key('output', name);
+    const deadline = Date.now() + timeoutMs;
+
+    while (Date.now() < deadline) {
+      signal?.throwIfAborted();
+      let data;
+      try {
+        const response = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: key }), { abortSignal: signal });
+        data = await response.Body.transformToString();
+      } catch (error) {
+        if (error.name !== 'NoSuchKey' && error.$metadata?.httpStatusCode !== 404) throw error;
+        await new Promise(resolve => setTimeout(resolve, this.pollIntervalMs));
+        continue;
+      }
+
+      try {
+        return JSON.parse(data);
+      } catch (error) {
+        throw new ResultMalformedError(key, error);
+      }
+    }
+    throw new ResultTimeoutError(key, timeoutMs);
+  }
+
+  async check() {
+    try {
+      await this.client.send(new HeadBucketCommand({ Bucket: this.bucket }));
+      return { ok: true, bucket: this.bucket };
+    } catch (error) {
+      return { ok: false, bucket: this.bucket, message: error.message || error.name };
+    }
+  }
+
+  // Deletes objects older than `maxAgeMs` from every area. With `ownOnly`,
+  // only those this process created: other instances' files in flight stay.
+  async sweep({ maxAgeMs, ownOnly = false }) {
+    if (ownOnly) {
+      return this.sweepOwn();
+    }
+
+    let removed = 0;
+    const now = Date.now();
+    for (const area of AREAS) {
+      let ContinuationToken;
+      do {
+        const page = await this.client.send(new ListObjectsV2Command({
+          Bucket: this.bucket,
+          Prefix: this.key(area, ''),
+          ContinuationToken
+        }));
+        for (const object of page.Contents || []) {
+          const ageMs = now - object.LastModified.getTime();
+          if (ageMs < maxAgeMs) continue;
+          await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: object.Key }));
+          removed++;
+          logger.info('Removed orphaned object', { bucket: this.bucket, key: object.Key, ageMs: Math.round(ageMs) });
+        }
+        ContinuationToken = page.NextContinuationToken;
+      } while (ContinuationToken);
+    }
+    return removed;
+  }
+
+  async sweepOwn() {
+    let removed = 0;
+    for (const key of this.ownKeys) {
+      await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+      this.ownKeys.delete(key);
+      removed++;
+      logger.info('Removed orphaned object', { bucket: this.bucket, key });
+    }
+    return removed;
+  }
+}
+
+// STORAGE_DRIVER picks the driver: "filesystem" (default) or "s3"
+function createStorage(env = process.env) {
+  const driver = env.STORAGE_DRIVER || 'filesystem';
+  if (driver === 'filesystem') {
+    return new FilesystemStorage();
+  }
+  if (driver === 's3') {
+    return new S3Storage({
+      bucket: env.S3_BUCKET,
+      prefix: env.S3_PREFIX || '',
+      endpoint: env.S3_ENDPOINT || undefined,
+      region: env.S3_REGION || 'us-east-1',
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: env.S3_FORCE_PATH_STYLE !== undefined ? env.S3_FORCE_PATH_STYLE === 'true' : undefined,
+      urlExpiresSeconds: parseInt(env.S3_URL_EXPIRES_SECONDS, 10) || 900,
+      pollIntervalMs: parseInt(env.S3_RESULT_POLL_MS, 10) || 500
+    });
+  }
+  throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected filesystem or s3)`);
+}
+
+module.exports = { createStorage, FilesystemStorage, S3Storage };
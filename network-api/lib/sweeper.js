@@ -0,0 +1,86 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { logger } = require('./logger');
+
+// Deletes entries older than `maxAgeMs` from each directory: files left
+// behind by analyses that never got to clean up after themselves. Directories
+// (video work dirs) go as a whole once they are old enough. `sharedDirs` may
+// hold other instances' files as well, and `stores` are storage drivers that
+// sweep their own objects; `ownOnly` leaves the shared directories alone and
+// limits the stores to what this process created.
+class TempFileSweeper {
+  constructor({ dirs, sharedDirs = [], stores = [], maxAgeMs = 60 * 60 * 1000, intervalMs = 10 * 60 * 1000 }) {
+    this.dirs = dirs;
+    this.sharedDirs = sharedDirs;
+    this.stores = stores;
+    this.maxAgeMs = maxAgeMs;
+    this.intervalMs = intervalMs;
+    this.timer = null;
+  }
+
+  // Sweeps straight away too, for files left by a previous run
+  start() {
+    this.sweep();
+    this.timer = setInterval(() => this.sweep(), this.intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async sweep({ maxAgeMs = this.maxAgeMs, ownOnly = false } = {}) {
+    let removed = 0;
+    for (const dir of ownOnly ? this.dirs : [...this.dirs, ...this.sharedDirs]) {
+      removed += await this.sweepDir(dir, maxAgeMs);
+    }
+    for (const store of this.stores) {
+      try {
+        removed += await store.sweep({ maxAgeMs, ownOnly });
+      } catch (error) {
+        logger.error('Failed to sweep storage', { driver: store.driver, error });
+      }
+    }
+    return removed;
+  }
+
+  async sweepDir(dir, maxAgeMs) {
+    let names;
+    try {
+      names = await fs.readdir(dir);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Failed to read temp directory', { dir, error });
+      }
+      return 0;
+    }
+
+    let removed = 0;
+    const now = Date.now();
+    for (const name of names) {
+      const entryPath = path.join(dir, name);
+      try {
+        const stats = await fs.stat(entryPath);
+        const ageMs = now - stats.mtimeMs;
+        if (ageMs < maxAgeMs) continue;
+
+        await fs.rm(entryPath, { recursive: true, force: true });
+        removed++;
+        logger.info('Removed orphaned temp file', {
+          path: entryPath,
+          directory: stats.isDirectory(),
+          ageMs: Math.round(ageMs)
+        });
+      } catch (error) {
+        // Removed by its own analysis in the meantime
+        if (error.code !== 'ENOENT') {
+          logger.error('Failed to remove orphaned temp file', { path: entryPath, error });
+        }
+      }
+    }
+    return removed;
+  }
+}
+
+module.exports = { TempFileSweeper };
@@ -0,0 +1,137 @@
+const fs = require('fs').promises;
+const { removeFile } = require('./files');
+const { reportStage } = require('./context');
+
+const MAX_BYTES = {
+  image: parseInt(process.env.MAX_IMAGE_BYTES, 10) || 20 * 1024 * 1024,
+  audio: parseInt(process.env.MAX_AUDIO_BYTES, 10) || 100 * 1024 * 1024,
+  video: parseInt(process.env.MAX_VIDEO_BYTES, 10) || 500 * 1024 * 1024
+};
+
+const M4A_BRANDS = ['M4A ', 'M4B ', 'M4P '];
+
+// The largest upload any modality accepts, for multer's own limit
+const MAX_UPLOAD_BYTES = Math.max(...Object.values(MAX_BYTES));
+
+const SIGNATURES = [
+  {
+    modality: 'image', ext: '.jpg', mime: 'image/jpeg',
+    test: bytes => bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF
+  },
+  {
+    modality: 'image', ext: '.png', mime: 'image/png',
+    test: bytes => bytes.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))
+  },
+  {
+    modality: 'image', ext: '.gif', mime: 'image/gif',
+    test: bytes => ['GIF87a', 'GIF89a'].includes(bytes.toString('latin1', 0, 6))
+  },
+  {
+    modality: 'image', ext: '.webp', mime: 'image/webp',
+    test: bytes => bytes.toString('latin1', 0, 4) === 'RIFF' && bytes.toString('latin1', 8, 12) === 'WEBP'
+  },
+  {
+    modality: 'audio', ext: '.wav', mime: 'audio/wav',
+    test: bytes => bytes.toString('latin1', 0, 4) === 'RIFF' && bytes.toString('latin1', 8, 12) === 'WAVE'
+  },
+  {
+    // ID3 tag, or a bare MPEG audio frame sync
+    modality: 'audio', ext: '.mp3', mime: 'audio/mpeg',
+    test: bytes => bytes.toString('latin1', 0, 3) === 'ID3' || (bytes[0] === 0xFF && (bytes[1] & 0xE0) === 0xE0)
+  },
+  {
+    modality: 'audio', ext: '.m4a', mime: 'audio/mp4',
+    test: bytes => bytes.toString('latin1', 4, 8) === 'ftyp' && M4A_BRANDS.includes(bytes.toString('latin1', 8, 12))
+  },
+  {
+    // Any other ISO base media file (MP4, MOV)
+    modality: 'video', ext: '.mp4', mime: 'video/mp4',
+    test: bytes => bytes.toString('latin1', 4, 8) === 'ftyp'
+  },
+  {
+    // EBML header shared by WebM and Matroska
+    modality: 'video', ext: '.webm', mime: 'video/webm',
+    test: bytes => bytes[0] === 0x1A && bytes[1] === 0x45 && bytes[2] === 0xDF && bytes[3] === 0xA3
+  }
+];
+
+class UploadValidationError extends Error {
+  constructor(status, code, message, details = {}) {
+    super(message);
+    this.name = 'UploadValidationError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Detects the file type from its leading bytes, ignoring name and Content-Type
+async function sniffFile(filePath) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const bytes = Buffer.alloc(16);
+    const { bytesRead } = await handle.read(bytes, 0, bytes.length, 0);
+    const head = bytes.subarray(0, bytesRead);
+    const signature = SIGNATURES.find(candidate => head.length >= 4 && candidate.test(head));
+    return signature ? { modality: signature.modality, ext: signature.ext, mime: signature.mime } : null;
+  } finally {
+    await handle.close();
+  }
+}
+
+async function validateFile(file, modality) {
+  if (file.size > MAX_BYTES[modality]) {
+    throw new UploadValidationError(413, 'FILE_TOO_LARGE',
+      `${file.originalname} is ${file.size} bytes; ${modality} files are limited to ${MAX_BYTES[modality]} bytes`,
+      { size: file.size, maxBytes: MAX_BYTES[modality] });
+  }
+
+  let detected = await sniffFile(file.path);
+  if (!detected) {
+    throw new UploadValidationError(415, 'UNSUPPORTED_MEDIA_TYPE',
+      `${file.originalname} is not a supported file type. Images: JPEG, PNG, GIF, WEBP. Audio: MP3, WAV, M4A. Video: MP4, WEBM.`);
+  }
+  // Plenty of M4A files carry a generic MP4 brand
+  if (detected.ext === '.mp4' && modality === 'audio') {
+    detected = { modality: 'audio', ext: '.m4a', mime: 'audio/mp4' };
+  }
+  if (detected.modality !== modality) {
+    throw new UploadValidationError(415, 'UNSUPPORTED_MEDIA_TYPE',
+      `${file.originalname} looks like ${detected.mime}, which is not accepted as ${modality}`,
+      { detected: detected.mime });
+  }
+
+  file.detected = detected;
+}
+
+// Checks every uploaded file against the modality named by its form field
+// ("image", "audio" or "video"). Rejected uploads are deleted straight away.
+async function validateUpload(req, res, next) {
+  const files = req.file ? [req.file] : Object.values(req.files || {}).flat();
+
+  try {
+    for (const file of files) {
+      await validateFile(file, file.fieldname);
+    }
+  } catch (error) {
+    for (const file of files) {
+      await removeFile(file.path);
+    }
+    if (!(error instanceof UploadValidationError)) {
+      throw error;
+    }
+    return res.status(error.status).json({
+      error: error.status === 413 ? 'File too large' : 'Unsupported media type',
+      code: error.code,
+      message: error.message,
+      ...error.details
+    });
+  }
+
+  if (files.length > 0) {
+    reportStage('received', { filename: files[0].originalname, size: files[0].size, modality: files[0].fieldname });
+  }
+  next();
+}
+
+module.exports = { validateUpload, sniffFile, MAX_BYTES, MAX_UPLOAD_BYTES };
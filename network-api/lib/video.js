@@ -0,0 +1,161 @@
+const { v4: uuidv4 } = require('uuid');
+const fs = require('fs').promises;
+const path = require('path');
+const {
+  runImageAnalysis,
+  queueAudioAnalysis,
+  withCache,
+  audioQueue,
+  checkCircuits
+} = require('./analysis');
+const { removeFile } = require('./files');
+const { QueueFullError } = require('./queue');
+const { summarizeResult } = require('./results');
+const { runFfmpeg } = require('./ffmpeg');
+
+const VIDEO_FRAME_RATE = parseFloat(process.env.VIDEO_FRAME_RATE) || 1;
+const VIDEO_MAX_FRAMES = parseInt(process.env.VIDEO_MAX_FRAMES, 10) || 60;
+// Share of ARTIFICIAL frames at which the visual track is called ARTIFICIAL
+const VIDEO_ARTIFICIAL_FRAME_RATIO = parseFloat(process.env.VIDEO_ARTIFICIAL_FRAME_RATIO) || 0.5;
+
+const WORK_DIR = path.join(__dirname, '..', 'uploads');
+
+async function extractFrames(videoPath, dir, signal) {
+  await runFfmpeg([
+    '-i', videoPath,
+    '-vf', `fps=${VIDEO_FRAME_RATE}`,
+    '-frames:v', String(VIDEO_MAX_FRAMES),
+    '-q:v', '2',
+    path.join(dir, 'frame-%05d.jpg')
+  ], signal);
+
+  const names = (await fs.readdir(dir)).filter(name => name.startsWith('frame-')).sort();
+  return names.map((name, index) => ({
+    index,
+    timestamp: index / VIDEO_FRAME_RATE,
+    path: path.join(dir, name)
+  }));
+}
+
+// Returns the path of a mono 16 kHz WAV of the first audio track, or null if
+// the video has none
+async function extractAudioTrack(videoPath, dir, signal) {
+  const audioPath = path.join(dir, 'audio.wav');
+  try {
+    await runFfmpeg(['-i', videoPath, '-map', '0:a:0', '-vn', '-ac', '1', '-ar', '16000', audioPath], signal);
+  } catch (error) {
+    if (error.noStream) return null;
+    throw error;
+  }
+  return audioPath;
+}
+
+// The visual track is ARTIFICIAL once enough frames are; the video is
+// ARTIFICIAL if either track is
+function aggregateVerdict(frames, audio) {
+  const scored = frames.filter(frame => typeof frame.score === 'number');
+  const artificialFrames = frames.filter(frame => frame.decision === 'ARTIFICIAL').length;
+
+  const visual = {
+    decision: frames.length === 0 ? 'UNKNOWN'
+      : artificialFrames / frames.length >= VIDEO_ARTIFICIAL_FRAME_RATIO ? 'ARTIFICIAL' : 'AUTHENTIC',
+    score: scored.length > 0 ? scored.reduce((sum, frame) => sum + frame.score, 0) / scored.length : null,
+    maxScore: scored.length > 0 ? Math.max(...scored.map(frame => frame.score)) : null,
+    frameCount: frames.length,
+    artificialFrames
+  };
+
+  const decisions = [visual.decision, audio?.decision].filter(decision => decision && decision !== 'UNKNOWN');
+  const scores = [visual.score, audio?.score].filter(score => typeof score === 'number');
+
+  return {
+    decision: decisions.includes('ARTIFICIAL') ? 'ARTIFICIAL'
+      : decisions.length > 0 ? 'AUTHENTIC' : 'UNKNOWN',
+    score: scores.length > 0 ? Math.max(...scores) : null,
+    visual,
+    audio: audio ? { decision: audio.decision, score: audio.score } : null
+  };
+}
+
+async function runVideoAnalysis(file, signal) {
+  const workDir = path.join(WORK_DIR, `video-${uuidv4()}`);
+  const baseName = path.parse(file.originalname).name;
+
+  // Stops the audio track if the frames fail, the frames if the audio track
+  // fails, and everything if the caller aborts
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(signal.reason);
+  signal?.addEventListener('abort', onAbort, { once: true });
+  let audioError = null;
+
+  try {
+    // Turned away before any frame reaches vision-api, like other uploads
+    checkCircuits('video');
+    await fs.mkdir(workDir, { recursive: true });
+
+    const audioPath = await extractAudioTrack(file.path, workDir, controller.signal);
+    if (audioPath && audioQueue.isFull()) {
+      throw new QueueFullError('audio', audioQueue.retryAfter);
+    }
+
+    // The audio track waits in the audio queue while the frames go through vision-api
+    const audioPromise = audioPath
+      ? queueAudioAnalysis({
+        path: audioPath,
+        originalname: `${baseName}.wav`,
+        detected: { ext: '.wav' }
+      }, { signal: controller.signal })
+      : Promise.resolve(null);
+    audioPromise.catch(error => {
+      audioError = error;
+      controller.abort(error);
+    });
+
+    const frames = await extractFrames(file.path, workDir, controller.signal);
+    if (frames.length === 0) {
+      throw new Error('No frames could be extracted from the video');
+    }
+
+    const frameResults = [];
+    for (const frame of frames) {
+      const result = await runImageAnalysis({
+        path: frame.path,
+        originalname: `${baseName}-frame-${frame.index}.jpg`,
+        detected: { ext: '.jpg' }
+      }, controller.signal);
+
+      frameResults.push({
+        index: frame.index,
+        timestamp: frame.timestamp,
+        ...summarizeResult('image', result),
+        result
+      });
+    }
+
+    const audioResult = await audioPromise;
+    const audio = audioResult ? { ...summarizeResult('audio', audioResult), result: audioResult } : null;
+
+    return {
+      frameRate: VIDEO_FRAME_RATE,
+      frames: frameResults,
+      audio,
+      aggregate: aggregateVerdict(frameResults, audio)
+    };
+  } catch (error) {
+    controller.abort(error);
+    // A frame cut short by a failed audio track fails with the audio's error
+    throw audioError || error;
+  } finally {
+    signal?.removeEventListener('abort', onAbort);
+    await fs.rm(workDir, { recursive: true, force: true });
+    await removeFile(file.path);
+  }
+}
+
+// Samples frames through vision-api and the audio track through audio-api,
+// then combines them into one verdict. The uploaded temp file is consumed.
+function analyzeVideo(file, { signal, onAnalyzed } = {}) {
+  return withCache('video', file, () => runVideoAnalysis(file, signal), { onAnalyzed });
+}
+
+module.exports = { analyzeVideo };
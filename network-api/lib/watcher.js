@@ -0,0 +1,167 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+class ResultTimeoutError extends Error {
+  constructor(filePath, timeoutMs) {
+    super(`No result arrived at ${path.basename(filePath)} within ${timeoutMs} ms`);
+    this.name = 'ResultTimeoutError';
+    this.code = 'RESULT_TIMEOUT';
+  }
+}
+
+class ResultMalformedError extends Error {
+  constructor(filePath, cause) {
+    super(`Result file ${path.basename(filePath)} is not valid JSON: ${cause.message}`);
+    this.name = 'ResultMalformedError';
+    this.code = 'RESULT_MALFORMED';
+  }
+}
+
+// Waits for backend result files using filesystem events instead of polling.
+// A file is only read once its size and mtime have stopped changing, so a
+// result that is still being written (or renamed into place) is never parsed
+// half-way through. A slow rescan covers mounts where events are unreliable.
+class OutputWatcher {
+  constructor(dir, { stabilityMs = 100, malformedGraceMs = 2000, rescanIntervalMs = 5000 } = {}) {
+    this.dir = dir;
+    this.stabilityMs = stabilityMs;
+    this.malformedGraceMs = malformedGraceMs;
+    this.rescanIntervalMs = rescanIntervalMs;
+    this.waiters = new Map();
+    this.watcher = null;
+    this.rescanTimer = null;
+  }
+
+  waitForResult(filePath, { timeoutMs = 60000, signal } = {}) {
+    return new Promise((resolve, reject) => {
+      const waiter = {
+        fileName: path.basename(filePath),
+        filePath,
+        lastSize: null,
+        lastMtime: null,
+        lastError: null,
+        checkTimer: null
+      };
+
+      const onAbort = () => waiter.finish(signal.reason);
+
+      waiter.finish = (error, result) => {
+        clearTimeout(waiter.timeout);
+        clearTimeout(waiter.checkTimer);
+        signal?.removeEventListener('abort', onAbort);
+        this.remove(waiter);
+        error ? reject(error) : resolve(result);
+      };
+
+      waiter.timeout = setTimeout(() => {
+        waiter.finish(waiter.lastError
+          ? new ResultMalformedError(filePath, waiter.lastError)
+          : new ResultTimeoutError(filePath, timeoutMs));
+      }, timeoutMs);
+
+      if (signal?.aborted) {
+        return waiter.finish(signal.reason);
+      }
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      this.add(waiter);
+      // The result may already be there before we started watching
+      this.schedule(waiter);
+    });
+  }
+
+  add(waiter) {
+    if (!this.waiters.has(waiter.fileName)) {
+      this.waiters.set(waiter.fileName, new Set());
+    }
+    this.waiters.get(waiter.fileName).add(waiter);
+    this.start();
+  }
+
+  remove(waiter) {
+    const set = this.waiters.get(waiter.fileName);
+    if (!set) return;
+    set.delete(waiter);
+    if (set.size === 0) {
+      this.waiters.delete(waiter.fileName);
+    }
+    if (this.waiters.size === 0) {
+      this.stop();
+    }
+  }
+
+  start() {
+    if (!this.watcher) {
+      try {
+        this.watcher = fs.watch(this.dir, (eventType, fileName) => {
+          const set = fileName && this.waiters.get(fileName.toString());
+          if (set) {
+            set.forEach(waiter => this.schedule(waiter));
+          }
+        });
+        this.watcher.on('error', () => this.closeWatcher());
+      } catch (error) {
+        logger.warn('Unable to watch output directory, relying on rescans', { dir: this.dir, error });
+      }
+    }
+
+    if (!this.rescanTimer) {
+      this.rescanTimer = setInterval(() => {
+        for (const set of this.waiters.values()) {
+          set.forEach(waiter => {
+            if (!waiter.lastError) this.schedule(waiter);
+          });
+        }
+      }, this.rescanIntervalMs);
+    }
+  }
+
+  stop() {
+    this.closeWatcher();
+    clearInterval(this.rescanTimer);
+    this.rescanTimer = null;
+  }
+
+  closeWatcher() {
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+
+  schedule(waiter) {
+    clearTimeout(waiter.checkTimer);
+    waiter.checkTimer = setTimeout(() => this.check(waiter), this.stabilityMs);
+  }
+
+  async check(waiter) {
+    let stats;
+    try {
+      stats = await fs.promises.stat(waiter.filePath);
+    } catch {
+      return;
+    }
+
+    if (stats.size === 0 || stats.size !== waiter.lastSize || stats.mtimeMs !== waiter.lastMtime) {
+      waiter.lastSize = stats.size;
+      waiter.lastMtime = stats.mtimeMs;
+      return this.schedule(waiter);
+    }
+
+    try {
+      const data = await fs.promises.readFile(waiter.filePath, 'utf-8');
+      waiter.finish(null, JSON.parse(data));
+    } catch (error) {
+      // Give the writer a moment to finish before calling the result malformed;
+      // any further change to the file reschedules the check.
+      waiter.lastError = error;
+      clearTimeout(waiter.checkTimer);
+      waiter.checkTimer = setTimeout(() => {
+        waiter.finish(new ResultMalformedError(waiter.filePath, error));
+      }, this.malformedGraceMs);
+    }
+  }
+}
+
+module.exports = { OutputWatcher, ResultTimeoutError, ResultMalformedError };
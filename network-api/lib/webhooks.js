@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const { logger } = require('./logger');
+const { requestIdHeaders } = require('./context');
+
+// Hosts that may receive callbacks even though they resolve to an internal
+// address, e.g. a receiver on the same network: comma-separated host names
+const ALLOWED_HOSTS = new Set((process.env.WEBHOOK_ALLOWED_HOSTS || '')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean));
+
+// Loopback, private, link-local (cloud metadata), shared, multicast and
+// reserved ranges: callbacks must not reach the backends or this host
+const blockedAddresses = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  blockedAddresses.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  blockedAddresses.addSubnet(network, prefix, 'ipv6');
+}
+
+function isBlockedAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return blockedAddresses.check(mapped[1], 'ipv4');
+  return blockedAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+function isAllowedHost(hostname) {
+  return ALLOWED_HOSTS.has(hostname.replace(/^\[|\]$/g, '').toLowerCase());
+}
+
+// dns.lookup for deliveries that refuses internal addresses, so a host that
+// resolved to a public address when the callback was accepted cannot be
+// pointed somewhere internal later
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    if (!isAllowedHost(hostname) && addresses.some(isBlockedAddress)) {
+      return callback(new Error(`${hostname} resolves to an internal address`));
+    }
+    callback(null, address, family);
+  });
+}
+
+// Resolves to an error message, or null when the URL may receive callbacks
+async function validateCallbackUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return 'callback_url must be an absolute URL';
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return 'callback_url must use http or https';
+  }
+  if (isAllowedHost(url.hostname)) {
+    return null;
+  }
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(url.hostname.replace(/^\[|\]$/g, ''), { all: true });
+  } catch {
+    return `callback_url host ${url.hostname} could not be resolved`;
+  }
+  if (addresses.some(entry => isBlockedAddress(entry.address))) {
+    return 'callback_url must not point at a loopback, private or link-local address';
+  }
+  return null;
+}
+
+// HMAC-SHA256 over "<timestamp>.<body>", hex encoded
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// POSTs analysis results to caller-supplied URLs. Failed deliveries are
+// retried with exponential backoff; the most recent deliveries and all of
+// their attempts are kept in memory for inspection.
+class WebhookDispatcher {
+  constructor({ secret, maxAttempts = 5, baseDelayMs = 1000, timeoutMs = 10000, logSize = 500 } = {}) {
+    this.secret = secret;
+    this.maxAttempts = maxAttempts;
+    this.baseDelayMs = baseDelayMs;
+    this.timeoutMs = timeoutMs;
+    this.logSize = logSize;
+    this.deliveries = new Map();
+
+    if (!secret) {
+      logger.warn('WEBHOOK_SECRET is not set, submissions with a callback_url will be refused');
+    }
+  }
+
+  // Every callback is signed, so there are none without a secret
+  get enabled() {
+    return Boolean(this.secret);
+  }
+
+  deliver(url, event, data) {
+    const delivery = {
+      id: uuidv4(),
+      url,
+      event,
+      status: 'pending',
+      attempts: [],
+      createdAt: new Date().toISOString(),
+      deliveredAt: null,
+      nextAttemptAt: null,
+      payload: { event, ...data }
+    };
+
+    this.deliveries.set(delivery.id, delivery);
+    while (this.deliveries.size > this.logSize) {
+      this.deliveries.delete(this.deliveries.keys().next().value);
+    }
+
+    this.attempt(delivery);
+    return delivery;
+  }
+
+  async attempt(delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Webhook-Id': delivery.id,
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Timestamp': timestamp,
+      'X-Webhook-Signature': `sha256=${signPayload(this.secret, timestamp, body)}`,
+      ...requestIdHeaders()
+    };
+
+    const attempt = { at: new Date().toISOString(), status: null, error: null };
+    delivery.attempts.push(attempt);
+    delivery.nextAttemptAt = null;
+
+    try {
+      const response = await axios.post(delivery.url, body, {
+        headers,
+        timeout: this.timeoutMs,
+        // Redirects would re-send the result somewhere the caller did not ask for
+        maxRedirects: 0,
+        lookup: guardedLookup
+      });
+      attempt.status = response.status;
+      delivery.status = 'delivered';
+      delivery.deliveredAt = new Date().toISOString();
+    } catch (error) {
+      attempt.status = error.response?.status || null;
+      attempt.error = error.message;
+
+      if (delivery.attempts.length >= this.maxAttempts) {
+        delivery.status = 'failed';
+        logger.error('Webhook delivery failed', {
+          deliveryId: delivery.id,
+          url: delivery.url,
+          attempts: delivery.attempts.length
+        });
+        return;
+      }
+
+      const delayMs = this.baseDelayMs * 2 ** (delivery.attempts.length - 1);
+      delivery.nextAttemptAt = new Date(Date.now() + delayMs).toISOString();
+      setTimeout(() => this.attempt(delivery), delayMs).unref();
+    }
+  }
+
+  get(id) {
+    return this.deliveries.get(id) || null;
+  }
+
+  // Newest first, optionally filtered by status
+  list({ status } = {}) {
+    return Array.from(this.deliveries.values())
+      .filter(delivery => !status || delivery.status === status)
+      .reverse();
+  }
+}
+
+module.exports = { WebhookDispatcher, validateCallbackUrl, signPayload };
@@ -2,14 +2,22 @@
 const uploadState = {
   files: new Map(),
   currentResult: null,
+  // Object URL of the image shown in the result modal
+  currentResultUrl: null,
   currentAudio: null,
   currentImageModal: null,
+  promptingApiKey: false,
+  // Id of our /api/events stream, sent with uploads to get their stages
+  streamId: null,
   modelStatus: {
     image: 'checking',
     audio: 'checking'
   }
 };
 
+// Uploads and health checks go through the API client (client.js)
+const apiClient = new NetworkApi.NetworkApiClient();
+
 // DOM elements
 const dropzone = document.getElementById('dropzone');
 const fileInput = document.getElementById('fileInput');
@@ -17,6 +25,8 @@ const uploadTable = document.getElementById('uploadTable');
 const uploadTableBody = document.getElementById('uploadTableBody');
 const resultModal = document.getElementById('resultModal');
 const resultContent = document.getElementById('resultContent');
+const resultTimeline = document.getElementById('resultTimeline');
+const resultSummary = document.getElementById('resultSummary');
 
 // Initialize event listeners
 function initializeApp() {
@@ -46,9 +56,48 @@ function initializeApp() {
   document.addEventListener('dragover', (e) => e.preventDefault());
   document.addEventListener('drop', (e) => e.preventDefault());
   
-  // Start health checks
-  checkModelHealth();
-  setInterval(checkModelHealth, 10000); // Check every 10 seconds
+  // Model health and upload stages are pushed over Server-Sent Events;
+  // browsers without EventSource fall back to polling
+  if (window.EventSource) {
+    connectEvents();
+  } else {
+    checkModelHealth();
+    setInterval(checkModelHealth, 10000); // Check every 10 seconds
+  }
+}
+
+// EventSource reconnects by itself; every connection gets a new stream id
+function connectEvents() {
+  const events = new EventSource('/api/events');
+  
+  events.addEventListener('ready', (e) => {
+    uploadState.streamId = JSON.parse(e.data).streamId;
+  });
+  
+  events.addEventListener('health', (e) => {
+    const data = JSON.parse(e.data);
+    updateModelStatus(data.model, data.status, data.message);
+  });
+  
+  events.addEventListener('upload', (e) => {
+    handleUploadStage(JSON.parse(e.data));
+  });
+  
+  events.addEventListener('error', () => {
+    uploadState.streamId = null;
+    updateModelStatus('image', 'error', 'Lost connection to the server');
+    updateModelStatus('audio', 'error', 'Lost connection to the server');
+  });
+}
+
+// Shows how far the server has got with an upload that is still in flight.
+// The response to the upload itself still sets the final status.
+function handleUploadStage(event) {
+  const fileData = uploadState.files.get(event.uploadId);
+  if (!fileData || fileData.status !== 'processing') return;
+  
+  fileData.stage = event;
+  updateFileStatus(fileData.id, 'processing');
 }
 
 // Drag and drop handlers
@@ -89,7 +138,7 @@ function processFiles(files) {
         file: file,
         name: file.name,
         size: formatFileSize(file.size),
-        type: getFileType(file),
+        type: NetworkApi.getFileType(file),
         status: 'uploading',
         result: null,
         error: null,
@@ -102,7 +151,7 @@ function processFiles(files) {
       addTableRow(fileData);
       uploadFile(fileData);
     } else {
-      alert(`Invalid file type: ${file.name}. Please upload image or audio files only.`);
+      alert(`Invalid file type: ${file.name}. Please upload image, audio or video files only.`);
     }
   });
 }
@@ -110,74 +159,45 @@ function processFiles(files) {
 function isValidFile(file) {
   const imageTypes = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
   const audioTypes = ['audio/mpeg', 'audio/mp3', 'audio/wav', 'audio/x-wav', 'audio/x-m4a', 'audio/mp4'];
+  const videoTypes = ['video/mp4', 'video/webm', 'video/quicktime'];
   
-  return imageTypes.includes(file.type) || audioTypes.includes(file.type) || 
-         (file.type === '' && (file.name.endsWith('.mp3') || file.name.endsWith('.wav') || file.name.endsWith('.m4a')));
-}
-
-function getFileType(file) {
-  if (file.type.startsWith('image/')) return 'image';
-  if (file.type.startsWith('audio/') || file.name.match(/\.(mp3|wav|m4a)$/i)) return 'audio';
-  return 'unknown';
+  return imageTypes.includes(file.type) || audioTypes.includes(file.type) || videoTypes.includes(file.type) ||
+         (file.type === '' && /\.(mp3|wav|m4a|mp4|webm)$/i.test(file.name));
 }
 
 // File upload
 async function uploadFile(fileData) {
-  const formData = new FormData();
-  
-  // Use different field names for image vs audio as expected by the backend
-  const fieldName = fileData.type === 'image' ? 'image' : 'audio';
-  formData.append(fieldName, fileData.file);
-  
-  const endpoint = fileData.type === 'image' ? '/analyze' : '/analyze-audio';
-  
   try {
     // Update status to processing
+    fileData.stage = null;
     updateFileStatus(fileData.id, 'processing');
     
-    const response = await fetch(endpoint, {
-      method: 'POST',
-      body: formData
+    // The /v1 API returns the same shape for every file type. Long
+    // recordings are analysed in overlapping segments.
+    const result = await apiClient.analyze(fileData.file, {
+      type: fileData.type,
+      segment: fileData.type === 'audio' ? 'auto' : undefined,
+      headers: { ...getAuthHeaders(), ...getStreamHeaders(fileData) }
     });
     
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(error.message || 'Upload failed');
-    }
-    
-    const result = await response.json();
-    
-    // Extract decision and score based on file type
-    if (fileData.type === 'image') {
-      fileData.decision = result['rd-img-ensemble']?.decision || 'UNKNOWN';
-      fileData.score = result['rd-img-ensemble']?.score || 0;
-    } else if (fileData.type === 'audio') {
-      // Check for different possible field names in audio response
-      fileData.decision = result.final_decision || result.decision || result.prediction || 'UNKNOWN';
-      fileData.score = result.final_probability || result.probability || result.score || 0;
-      
-      // Log the result structure for debugging
-      console.log('Audio result structure:', result);
-    }
+    fileData.decision = result.decision || 'UNKNOWN';
+    fileData.score = result.score || 0;
     
     // Update file data
     fileData.result = result;
     fileData.status = 'completed';
     fileData.error = null; // Clear any previous errors
     
-    // Make sure we have valid decision and score before updating
-    if (fileData.decision === 'UNKNOWN' && fileData.type === 'audio') {
-      console.warn('Audio processing completed but decision/score fields not found in response');
-    }
-    
     updateFileStatus(fileData.id, 'completed', result);
     
   } catch (error) {
     console.error('Upload error:', error);
     
-    // Check if it's a timeout error
     let errorMessage = error.message || 'Upload failed';
-    if (error.response?.status === 504) {
+    if (error.status === 401) {
+      requestApiKey();
+      errorMessage = 'An API key is required. Retry the upload after entering it.';
+    } else if (error.status === 504 || error.code === 'TIMEOUT') {
       errorMessage = 'Processing timeout - the file may be too large or complex. Please try again.';
     }
     
@@ -187,6 +207,31 @@ async function uploadFile(fileData) {
   }
 }
 
+// API key for servers that require one, kept in localStorage
+function getAuthHeaders() {
+  const apiKey = localStorage.getItem('apiKey');
+  return apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {};
+}
+
+// Asks the server to report this upload's stages on our event stream
+function getStreamHeaders(fileData) {
+  if (!uploadState.streamId) return {};
+  return { 'X-Stream-Id': uploadState.streamId, 'X-Upload-Id': fileData.id };
+}
+
+function requestApiKey() {
+  // Several uploads can fail at once; only ask once
+  if (uploadState.promptingApiKey) return;
+  uploadState.promptingApiKey = true;
+  
+  const apiKey = prompt('This server requires an API key:');
+  if (apiKey) {
+    localStorage.setItem('apiKey', apiKey.trim());
+  }
+  
+  uploadState.promptingApiKey = false;
+}
+
 // Table management
 function addTableRow(fileData) {
   // Show table and header
@@ -205,8 +250,8 @@ function addTableRow(fileData) {
     <td>${escapeHtml(fileData.name)}</td>
     <td><span class="file-type ${fileData.type}">${fileData.type}</span></td>
     <td>${fileData.size}</td>
-    <td class="decision-cell">${getDecisionHTML(fileData.decision)}</td>
-    <td class="score-cell">${getScoreHTML(fileData.score)}</td>
+    <td class="decision-cell">${getDecisionHTML(fileData.decision, fileData.result?.policy)}</td>
+    <td class="score-cell">${getScoreHTML(fileData.score, fileData.result?.policy?.thresholds)}</td>
     <td class="status-cell">
       ${getStatusHTML(fileData.status)}
     </td>
@@ -232,18 +277,18 @@ function updateFileStatus(fileId, status, result = null, error = null) {
   // Update decision cell
   const decisionCell = row.querySelector('.decision-cell');
   if (decisionCell) {
-    decisionCell.innerHTML = getDecisionHTML(fileData.decision);
+    decisionCell.innerHTML = getDecisionHTML(fileData.decision, fileData.result?.policy);
   }
   
   // Update score cell
   const scoreCell = row.querySelector('.score-cell');
   if (scoreCell) {
-    scoreCell.innerHTML = getScoreHTML(fileData.score);
+    scoreCell.innerHTML = getScoreHTML(fileData.score, fileData.result?.policy?.thresholds);
   }
   
   // Update status cell
   const statusCell = row.querySelector('.status-cell');
-  statusCell.innerHTML = getStatusHTML(status, error);
+  statusCell.innerHTML = getStatusHTML(status, error, fileData.stage);
   
   // Update actions cell
   const actionsCell = row.querySelector('.actions-cell');
@@ -265,6 +310,12 @@ function getPreviewHTML(fileData) {
         <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 19V6l12-3v13M9 19c0 1.105-1.343 2-3 2s-3-.895-3-2 1.343-2 3-2 3 .895 3 2zm12-3c0 1.105-1.343 2-3 2s-3-.895-3-2 1.343-2 3-2 3 .895 3 2zM9 10l12-3"></path>
       </svg>
     `;
+  } else if (fileData.type === 'video') {
+    return `
+      <svg class="preview-icon" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15 10l4.553-2.276A1 1 0 0121 8.618v6.764a1 1 0 01-1.447.894L15 14M5 18h8a2 2 0 002-2V8a2 2 0 00-2-2H5a2 2 0 00-2 2v8a2 2 0 002 2z"></path>
+      </svg>
+    `;
   }
   return `
     <svg class="preview-icon" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -273,7 +324,23 @@ function getPreviewHTML(fileData) {
   `;
 }
 
-function getStatusHTML(status, error = null) {
+function getStageLabel(stage) {
+  switch (stage?.stage) {
+    case 'received':
+      return 'Received';
+    case 'queued':
+      return stage.position > 0 ? `Queued (#${stage.position})` : 'Queued';
+    case 'sent_to_model':
+      return 'Analyzing...';
+    case 'result_ready':
+    case 'done':
+      return 'Finishing...';
+    default:
+      return 'Processing...';
+  }
+}
+
+function getStatusHTML(status, error = null, stage = null) {
   switch (status) {
     case 'uploading':
       return `
@@ -286,7 +353,7 @@ function getStatusHTML(status, error = null) {
       return `
         <div class="status processing">
           <div class="spinner"></div>
-          <span>Processing...</span>
+          <span>${getStageLabel(stage)}</span>
         </div>
       `;
     case 'completed':
@@ -341,25 +408,35 @@ function getActionsHTML(fileData) {
 }
 
 // Helper functions for decision and score display
-function getDecisionHTML(decision) {
+function getDecisionHTML(decision, policy) {
   if (!decision) return '<span class="decision-pending">-</span>';
   
   const className = decision === 'ARTIFICIAL' ? 'decision-artificial' : 
                    decision === 'AUTHENTIC' ? 'decision-authentic' : 
+                   decision === 'INCONCLUSIVE' ? 'decision-inconclusive' : 
                    'decision-unknown';
+  const title = policy
+    ? ` title="${escapeHtml(`Policy ${policy.name} ${policy.version}; model decision ${policy.backendDecision}`)}"`
+    : '';
   
-  return `<span class="decision ${className}">${decision}</span>`;
+  return `<span class="decision ${className}"${title}>${decision}</span>`;
+}
+
+// Colour band of a score under the thresholds of the decision policy that
+// produced it; unbanded when the server sent none
+function getScoreClass(score, thresholds) {
+  if (!thresholds) return '';
+  return score >= thresholds.artificial ? 'score-high' : 
+         score > thresholds.authentic ? 'score-medium' : 
+         'score-low';
 }
 
-function getScoreHTML(score) {
+function getScoreHTML(score, thresholds) {
   if (score === null || score === undefined) return '<span class="score-pending">-</span>';
   
   const percentage = (score * 100).toFixed(1);
-  const className = score >= 0.7 ? 'score-high' : 
-                   score >= 0.3 ? 'score-medium' : 
-                   'score-low';
   
-  return `<span class="score ${className}">${percentage}%</span>`;
+  return `<span class="score ${getScoreClass(score, thresholds)}">${percentage}%</span>`;
 }
 
 // Result modal
@@ -368,13 +445,199 @@ function showResult(fileId) {
   if (!fileData || !fileData.result) return;
   
   uploadState.currentResult = fileData.result;
+  resultSummary.innerHTML = getResultSummaryHTML(fileData);
+  resultTimeline.innerHTML = fileData.type === 'video' && fileData.result.timeline
+    ? getFrameTimelineHTML(fileData.result)
+    : '';
   resultContent.textContent = JSON.stringify(fileData.result, null, 2);
+  
+  const heatmap = resultSummary.querySelector('.heatmap-overlay');
+  if (heatmap) {
+    drawHeatmap(heatmap, fileData.result.localization.heatmap);
+  }
   resultModal.classList.add('show');
 }
 
+// Verdict, the image with what the detectors flagged on it, and each
+// detector's score
+function getResultSummaryHTML(fileData) {
+  const result = fileData.result;
+  const policy = result.policy
+    ? `<span class="result-policy">Policy ${escapeHtml(result.policy.name)} ${escapeHtml(result.policy.version)}</span>`
+    : '';
+  
+  return `
+    <div class="result-verdict">
+      ${getDecisionHTML(result.decision, result.policy)}
+      ${getScoreHTML(result.score, result.policy?.thresholds)}
+      ${policy}
+    </div>
+    ${getLocalizationHTML(fileData)}
+    ${getModelChartHTML(result)}
+  `;
+}
+
+// The image with the backend's heatmap and boxes drawn over it
+function getLocalizationHTML(fileData) {
+  const localization = fileData.result.localization;
+  if (fileData.type !== 'image' || !localization || !fileData.file) return '';
+  
+  if (uploadState.currentResultUrl) {
+    URL.revokeObjectURL(uploadState.currentResultUrl);
+  }
+  uploadState.currentResultUrl = URL.createObjectURL(fileData.file);
+  
+  const boxes = localization.boxes.map(box => {
+    const label = [box.label, box.score !== null ? `${(box.score * 100).toFixed(1)}%` : null]
+      .filter(Boolean)
+      .join(' ');
+    return `<div class="localization-box" style="left: ${box.x * 100}%; top: ${box.y * 100}%; width: ${box.width * 100}%; height: ${box.height * 100}%"${label ? ` title="${escapeHtml(label)}"` : ''}></div>`;
+  }).join('');
+  
+  return `
+    <div class="result-section">
+      <div class="result-section-header">
+        <span class="result-section-title">Flagged areas</span>
+        <label class="overlay-toggle">
+          <input type="checkbox" checked onchange="this.closest('.result-section').classList.toggle('overlay-hidden', !this.checked)">
+          Show overlay
+        </label>
+      </div>
+      <div class="localization-view">
+        <img src="${uploadState.currentResultUrl}" alt="${escapeHtml(fileData.name)}">
+        ${localization.heatmap ? '<canvas class="heatmap-overlay"></canvas>' : ''}
+        ${boxes}
+      </div>
+    </div>
+  `;
+}
+
+// One pixel per heatmap cell; the browser smooths it when scaling it over
+// the image
+function drawHeatmap(canvas, heatmap) {
+  const rows = heatmap.length;
+  const columns = heatmap[0].length;
+  canvas.width = columns;
+  canvas.height = rows;
+  
+  const context = canvas.getContext('2d');
+  const image = context.createImageData(columns, rows);
+  heatmap.forEach((row, y) => row.forEach((score, x) => {
+    const offset = (y * columns + x) * 4;
+    image.data[offset] = 220;
+    image.data[offset + 1] = Math.round(180 * (1 - score));
+    image.data[offset + 2] = 0;
+    image.data[offset + 3] = Math.round(score * 180);
+  }));
+  context.putImageData(image, 0, 0);
+}
+
+// How the detectors' decisions split: the most common one, unless there is
+// a tie
+function getAgreement(models) {
+  const counts = {};
+  models.forEach(model => {
+    if (model.decision !== 'UNKNOWN') {
+      counts[model.decision] = (counts[model.decision] || 0) + 1;
+    }
+  });
+  
+  const ranked = Object.entries(counts).sort(([, a], [, b]) => b - a);
+  const majority = ranked.length > 0 && (ranked.length === 1 || ranked[0][1] > ranked[1][1])
+    ? ranked[0][0]
+    : null;
+  return { counts: ranked, majority, unanimous: ranked.length === 1 };
+}
+
+// A bar per detector with the policy's thresholds marked. Detectors that
+// disagree with the rest are highlighted.
+function getModelChartHTML(result) {
+  const models = result.models || [];
+  if (models.length === 0) return '';
+  
+  const thresholds = result.policy?.thresholds;
+  const agreement = getAgreement(models);
+  const markers = thresholds
+    ? [['Authentic at or below', thresholds.authentic], ['Artificial at or above', thresholds.artificial]]
+      .map(([label, value]) => `<div class="model-threshold" style="left: ${value * 100}%" title="${label} ${(value * 100).toFixed(0)}%"></div>`)
+      .join('')
+    : '';
+  
+  const rows = models.map(model => {
+    const dissent = models.length > 1 && model.decision !== 'UNKNOWN' &&
+      (!agreement.majority || model.decision !== agreement.majority);
+    const score = model.score || 0;
+    return `
+      <div class="model-row${dissent ? ' model-dissent' : ''}">
+        <span class="model-name" title="${escapeHtml(model.name)}">${escapeHtml(model.name)}</span>
+        <div class="model-track">
+          <div class="model-bar ${getScoreClass(score, thresholds)}" style="width: ${score * 100}%"></div>
+          ${markers}
+        </div>
+        ${getScoreHTML(model.score, thresholds)}
+        ${getDecisionHTML(model.decision)}
+      </div>
+    `;
+  }).join('');
+  
+  let summary = '';
+  if (models.length > 1 && agreement.counts.length > 0) {
+    summary = agreement.unanimous
+      ? `<div class="model-agreement agree">All ${agreement.counts[0][1]} detectors say ${escapeHtml(agreement.counts[0][0])}</div>`
+      : `<div class="model-agreement disagree">Detectors disagree: ${agreement.counts.map(([decision, count]) => `${count} ${escapeHtml(decision)}`).join(', ')}</div>`;
+  }
+  
+  return `
+    <div class="result-section">
+      <div class="result-section-header">
+        <span class="result-section-title">Detector scores</span>
+      </div>
+      ${summary}
+      <div class="model-chart">${rows}</div>
+    </div>
+  `;
+}
+
+// One bar per sampled frame, as tall as its score
+function getFrameTimelineHTML(result) {
+  const frames = result.timeline.segments;
+  if (frames.length === 0) return '';
+  const thresholds = result.policy?.thresholds;
+  
+  const bars = frames.map(frame => {
+    const score = frame.score || 0;
+    const className = getScoreClass(score, thresholds);
+    const title = `${frame.start.toFixed(1)}s: ${frame.decision} (${(score * 100).toFixed(1)}%)`;
+    return `<div class="timeline-bar ${className}" style="height: ${Math.max(score * 100, 2)}%" title="${escapeHtml(title)}"></div>`;
+  }).join('');
+  
+  const audioTrack = result.raw.audio;
+  const audio = audioTrack
+    ? `${getDecisionHTML(audioTrack.decision)} ${getScoreHTML(audioTrack.score, thresholds)}`
+    : '<span class="decision-pending">No audio track</span>';
+  
+  return `
+    <div class="frame-timeline">
+      <div class="timeline-header">
+        <span class="timeline-title">Frame scores</span>
+        <span class="timeline-audio">Audio: ${audio}</span>
+      </div>
+      <div class="timeline-bars">${bars}</div>
+      <div class="timeline-axis">
+        <span>0s</span>
+        <span>${frames[frames.length - 1].start.toFixed(1)}s</span>
+      </div>
+    </div>
+  `;
+}
+
 function closeResultModal() {
   resultModal.classList.remove('show');
   uploadState.currentResult = null;
+  if (uploadState.currentResultUrl) {
+    URL.revokeObjectURL(uploadState.currentResultUrl);
+    uploadState.currentResultUrl = null;
+  }
 }
 
 function copyResult(event) {
@@ -533,6 +796,66 @@ function toggleAudioPlayback(fileData) {
     audio: audio,
     url: url
   };
+  
+  if (fileData.result?.timeline) {
+    showSegmentTimeline(fileData, audio);
+  }
+}
+
+// Segment scores of a long recording under its row, with suspicious regions
+// highlighted and a playhead that follows playback. Clicking a segment seeks to it.
+function showSegmentTimeline(fileData, audio) {
+  const row = document.getElementById(`row-${fileData.id}`);
+  const { segments, duration, regions } = fileData.result.timeline;
+  const thresholds = fileData.result.policy?.thresholds;
+  const percent = seconds => `${(seconds / duration) * 100}%`;
+  
+  // Overlapping windows are drawn up to where the next one starts
+  const blocks = segments.map((segment, i) => {
+    const end = segments[i + 1] ? segments[i + 1].start : segment.end;
+    const score = segment.score || 0;
+    const className = getScoreClass(score, thresholds);
+    const title = `${segment.start.toFixed(1)}s - ${segment.end.toFixed(1)}s: ${segment.decision} (${(score * 100).toFixed(1)}%)`;
+    return `<div class="segment-block ${className}" data-start="${segment.start}" 
+                 style="left: ${percent(segment.start)}; width: ${percent(end - segment.start)}" title="${escapeHtml(title)}"></div>`;
+  }).join('');
+  
+  const highlights = regions.map(region => 
+    `<div class="segment-region" style="left: ${percent(region.start)}; width: ${percent(region.end - region.start)}"></div>`
+  ).join('');
+  
+  const timelineRow = document.createElement('tr');
+  timelineRow.id = `segments-${fileData.id}`;
+  timelineRow.className = 'segment-timeline-row';
+  timelineRow.innerHTML = `
+    <td colspan="${row.children.length}">
+      <div class="segment-timeline">
+        <div class="segment-track">
+          ${blocks}
+          ${highlights}
+          <div class="segment-playhead"></div>
+        </div>
+        <div class="timeline-axis">
+          <span>0s</span>
+          <span>${regions.length} suspicious region${regions.length === 1 ? '' : 's'}</span>
+          <span>${duration.toFixed(1)}s</span>
+        </div>
+      </div>
+    </td>
+  `;
+  row.after(timelineRow);
+  
+  const playhead = timelineRow.querySelector('.segment-playhead');
+  audio.addEventListener('timeupdate', () => {
+    playhead.style.left = percent(Math.min(audio.currentTime, duration));
+  });
+  
+  timelineRow.querySelectorAll('.segment-block').forEach(block => {
+    block.addEventListener('click', () => {
+      audio.currentTime = parseFloat(block.dataset.start);
+      audio.play();
+    });
+  });
 }
 
 function stopCurrentAudio() {
@@ -546,6 +869,8 @@ function stopCurrentAudio() {
   URL.revokeObjectURL(url);
   
   // Update UI
+  document.getElementById(`segments-${fileId}`)?.remove();
+  
   const row = document.getElementById(`row-${fileId}`);
   if (row) {
     const previewContainer = row.querySelector('.preview-container');
@@ -567,8 +892,7 @@ async function checkModelHealth() {
 
 async function checkImageModel() {
   try {
-    const response = await fetch('/api/health/image');
-    const data = await response.json();
+    const data = await apiClient.health('image', { retries: 0 });
     updateModelStatus('image', data.status, data.message);
   } catch (error) {
     updateModelStatus('image', 'error', 'Failed to check status');
@@ -577,8 +901,7 @@ async function checkImageModel() {
 
 async function checkAudioModel() {
   try {
-    const response = await fetch('/api/health/audio');
-    const data = await response.json();
+    const data = await apiClient.health('audio', { retries: 0 });
     updateModelStatus('audio', data.status, data.message);
   } catch (error) {
     updateModelStatus('audio', 'error', 'Failed to check status');
@@ -630,7 +953,8 @@ function updateModelStatus(model, status, message) {
         <path stroke-linecap="round" stroke-linejoin="round" d="M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"/>
       </svg>
     `;
-    statusValue.textContent = 'Offline';
+    // Unavailable: the server is refusing calls to the model until it recovers
+    statusValue.textContent = status === 'unavailable' ? 'Unavailable' : 'Offline';
   }
   
   // Add tooltip with message
@@ -684,7 +1008,8 @@ function formatFileSize(bytes) {
 function escapeHtml(text) {
   const div = document.createElement('div');
   div.textContent = text;
-  return div.innerHTML;
+  // innerHTML leaves quotes as they are, and the result also goes into attributes
+  return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
 
 // Theme management
@@ -748,6 +1073,9 @@ function initializeTheme() {
   }
 }
 
+// Buttons that need at least one completed result
+const RESULT_BUTTONS = ['downloadAllBtn', 'downloadCsvBtn', 'downloadHtmlBtn', 'printReportBtn'];
+
 // Update table count
 function updateTableCount() {
   const countElement = document.getElementById('tableCount');
@@ -758,18 +1086,20 @@ function updateTableCount() {
   
   if (completed > 0) {
     countElement.textContent = `${completed} completed / ${total} total`;
-    document.getElementById('downloadAllBtn').disabled = false;
   } else {
     countElement.textContent = `${total} file${total !== 1 ? 's' : ''}`;
-    document.getElementById('downloadAllBtn').disabled = true;
   }
+  
+  RESULT_BUTTONS.forEach(id => {
+    document.getElementById(id).disabled = completed === 0;
+  });
 }
 
+
 // Download all results as a single JSON
 function downloadAllResults() {
   // Get all completed files with results - simplified format
-  const completedFiles = Array.from(uploadState.files.values())
-    .filter(f => f.status === 'completed' && f.result)
+  const completedFiles = getCompletedFiles()
     .map(f => ({
       filename: f.name,
       type: f.type,
@@ -782,18 +1112,108 @@ function downloadAllResults() {
     return;
   }
   
-  // Create blob and download - just the array of results
-  const blob = new Blob([JSON.stringify(completedFiles, null, 2)], {
-    type: 'application/json'
-  });
+  // Just the array of results
+  saveFile(JSON.stringify(completedFiles, null, 2), 'application/json', `all-results-${fileTimestamp()}.json`);
+}
+
+// CSV or HTML report of the completed files, rendered by the server
+async function downloadReport(format) {
+  const report = await fetchReport(format);
+  if (report === null) return;
   
-  const url = URL.createObjectURL(blob);
+  saveFile(report, format === 'csv' ? 'text/csv' : 'text/html', `report-${fileTimestamp()}.${format}`);
+}
+
+// Prints the HTML report from a hidden frame; the print dialog can also save it as PDF
+async function printReport() {
+  const html = await fetchReport('html');
+  if (html === null) return;
+  
+  const frame = document.createElement('iframe');
+  frame.style.position = 'fixed';
+  frame.style.width = '0';
+  frame.style.height = '0';
+  frame.style.border = 'none';
+  // No scripts run in the report; allow-same-origin only lets this page call
+  // print() on it, which allow-modals permits
+  frame.sandbox = 'allow-modals allow-same-origin';
+  frame.srcdoc = html;
+  frame.onload = () => {
+    frame.contentWindow.addEventListener('afterprint', () => frame.remove());
+    frame.contentWindow.print();
+  };
+  document.body.appendChild(frame);
+}
+
+async function fetchReport(format) {
+  const files = await getReportFiles();
+  if (files.length === 0) {
+    alert('No completed results to report');
+    return null;
+  }
+  
+  try {
+    return await apiClient.report(files, { format, headers: getAuthHeaders() });
+  } catch (error) {
+    console.error('Report error:', error);
+    if (error.status === 401) {
+      requestApiKey();
+      alert('An API key is required. Try again after entering it.');
+    } else {
+      alert(`Could not create the report: ${error.message}`);
+    }
+    return null;
+  }
+}
+
+function getCompletedFiles() {
+  return Array.from(uploadState.files.values()).filter(f => f.status === 'completed' && f.result);
+}
+
+// One report row per completed file, with a thumbnail for images
+function getReportFiles() {
+  return Promise.all(getCompletedFiles().map(async f => ({
+    filename: f.name,
+    modality: f.type,
+    decision: f.decision || 'UNKNOWN',
+    score: typeof f.result.score === 'number' ? f.result.score : null,
+    analyzedAt: f.result.timing?.completedAt || f.uploadedAt,
+    durationMs: f.result.timing?.durationMs ?? null,
+    cached: f.result.timing?.cached === true,
+    modelVersions: f.result.modelVersions || {},
+    regions: (f.result.timeline?.regions || []).map(({ start, end }) => ({ start, end })),
+    requestId: f.result.requestId || null,
+    policyVersion: f.result.policy?.version,
+    thumbnail: f.type === 'image' ? await createThumbnail(f.file) : undefined
+  })));
+}
+
+// Small JPEG data URL of an image file, or undefined if it cannot be decoded
+async function createThumbnail(file, size = 96) {
+  try {
+    const bitmap = await createImageBitmap(file);
+    const scale = Math.min(1, size / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+    canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+    return canvas.toDataURL('image/jpeg', 0.8);
+  } catch (error) {
+    console.warn('Could not create a thumbnail for', file.name, error);
+    return undefined;
+  }
+}
+
+function fileTimestamp() {
+  return new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+}
+
+function saveFile(content, type, filename) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
   const a = document.createElement('a');
   a.href = url;
-  
-  // Generate filename with timestamp
-  const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
-  a.download = `all-results-${timestamp}.json`;
+  a.download = filename;
   
   // Trigger download
   document.body.appendChild(a);
@@ -0,0 +1,198 @@
+// Types for client.js
+
+export type Modality = 'image' | 'audio' | 'video';
+
+export interface ClientOptions {
+  /** Server to call; the page's own origin in the browser when empty */
+  baseUrl?: string;
+  /** Sent as "Authorization: Bearer <key>" */
+  apiKey?: string | null;
+  /** Time limit for a call, all retries included (default 10 minutes; 0 for none) */
+  timeoutMs?: number;
+  /** Retries of a 503 or 504 answer (default 2) */
+  retries?: number;
+  /** Wait before the first retry when the server sends no Retry-After; doubles after each */
+  retryDelayMs?: number;
+  /** Sent with every request */
+  headers?: Record<string, string>;
+  fetch?: typeof fetch;
+}
+
+export interface RequestOptions {
+  signal?: AbortSignal;
+  timeoutMs?: number;
+  retries?: number;
+  headers?: Record<string, string>;
+}
+
+export interface AnalyzeOptions extends RequestOptions {
+  /** Which analysis to run; guessed from the file's MIME type or name when left out */
+  type?: Modality;
+  /** File name to upload under; taken from the File or path when left out */
+  filename?: string;
+  /** Audio only: analyse in overlapping segments */
+  segment?: boolean | 'auto';
+  segmentSeconds?: number;
+  segmentOverlap?: number;
+  /** Webhook to notify when the analysis finishes */
+  callbackUrl?: string;
+}
+
+/** A Blob or File, and in Node also a Buffer or a file path */
+export type FileInput = Blob | ArrayBuffer | ArrayBufferView | string;
+
+export interface Verdict {
+  decision: string;
+  score: number | null;
+}
+
+export interface ModelOutput extends Verdict {
+  name: string;
+}
+
+export interface TimelineSegment extends Verdict {
+  index: number;
+  start: number;
+  end: number;
+}
+
+export interface Region {
+  start: number;
+  end: number;
+  /** Indexes of the segments the region spans */
+  segments: number[];
+}
+
+/** Scores at or above `artificial` are ARTIFICIAL, at or below `authentic` AUTHENTIC, INCONCLUSIVE in between */
+export interface Thresholds {
+  artificial: number;
+  authentic: number;
+}
+
+export interface Policy {
+  /** "default", or the name of the API key the policy belongs to */
+  name: string;
+  version: string;
+  thresholds: Record<Modality, Thresholds>;
+}
+
+/** The decision policy a result was decided by */
+export interface PolicyVerdict {
+  name: string;
+  version: string;
+  thresholds: Thresholds;
+  decision: string;
+  /** What the model backend decided on its own */
+  backendDecision: string;
+}
+
+export interface AnalysisResult extends Verdict {
+  modality: Modality;
+  policy: PolicyVerdict | null;
+  models: ModelOutput[];
+  /** Model version reported by each backend involved, by backend name */
+  modelVersions: Record<string, string>;
+  timing: {
+    startedAt: string | null;
+    completedAt: string | null;
+    durationMs: number | null;
+    cached: boolean;
+  };
+  /** Scored spans of a video or segmented recording */
+  timeline: {
+    duration: number;
+    segments: TimelineSegment[];
+    regions: Region[];
+  } | null;
+  /** Where in an image the detectors found signs of generation, when vision-api reports it */
+  localization: {
+    /** Scores over a grid laid on the image, row by row from the top left */
+    heatmap: number[][] | null;
+    /** Position and size are fractions of the image size */
+    boxes: Array<{ x: number; y: number; width: number; height: number; score: number | null; label: string | null }>;
+  } | null;
+  /** The backend payload */
+  raw: Record<string, unknown>;
+  /** X-Request-Id of the call, for finding it in the server logs */
+  requestId: string | null;
+}
+
+export interface ModelHealth {
+  status: 'ready' | 'busy' | 'loading' | 'unavailable';
+  message: string;
+  details?: Record<string, unknown>;
+  error?: string;
+  processing?: boolean;
+  count?: number;
+  queue?: { running: number; queued: number; concurrency: number; maxDepth: number };
+  circuit?: {
+    state: 'closed' | 'open' | 'half_open';
+    failures: number;
+    openedAt: string | null;
+    retryAfter: number | null;
+  };
+  replicas?: Array<{
+    url: string;
+    healthy: boolean;
+    busy: boolean;
+    outstanding: number;
+    lastCheckedAt: string | null;
+    error?: string;
+  }>;
+}
+
+/** One row of a report; see ReportFile in the OpenAPI document */
+export interface ReportFile {
+  filename: string;
+  modality: Modality;
+  decision: string;
+  score: number | null;
+  analyzedAt?: string | null;
+  durationMs?: number | null;
+  cached?: boolean;
+  modelVersions?: Record<string, string>;
+  /** Flagged time spans, in seconds */
+  regions?: Array<{ start: number; end: number }>;
+  requestId?: string | null;
+  /** Version of the decision policy applied */
+  policyVersion?: string;
+  /** Image thumbnail as a base64 data URL */
+  thumbnail?: string;
+}
+
+export interface ReportOptions extends RequestOptions {
+  format?: 'csv' | 'html';
+  title?: string;
+}
+
+export interface ServiceStatus {
+  message: string;
+}
+
+export class ApiError extends Error {
+  name: 'ApiError';
+  /** HTTP status, or null when there was no answer */
+  status: number | null;
+  /** The server's error code, or TIMEOUT, ABORTED or NETWORK_ERROR */
+  code: string | null;
+  body: unknown;
+  requestId: string | null;
+  /** Seconds from the Retry-After header */
+  retryAfter: number | null;
+}
+
+export class NetworkApiClient {
+  constructor(options?: ClientOptions);
+  analyze(file: FileInput, options?: AnalyzeOptions): Promise<AnalysisResult>;
+  analyzeImage(file: FileInput, options?: Omit<AnalyzeOptions, 'type'>): Promise<AnalysisResult>;
+  analyzeAudio(file: FileInput, options?: Omit<AnalyzeOptions, 'type'>): Promise<AnalysisResult>;
+  analyzeVideo(file: FileInput, options?: Omit<AnalyzeOptions, 'type'>): Promise<AnalysisResult>;
+  health(model: 'image' | 'audio', options?: RequestOptions): Promise<ModelHealth>;
+  health(model?: undefined, options?: RequestOptions): Promise<{ image: ModelHealth; audio: ModelHealth }>;
+  /** Resolves with the CSV or HTML text of the report */
+  report(files: ReportFile[], options?: ReportOptions): Promise<string>;
+  policy(options?: RequestOptions): Promise<Policy>;
+  status(options?: RequestOptions): Promise<ServiceStatus>;
+}
+
+export function getFileType(file: { type?: string; name?: string }): Modality | 'unknown';
@@ -0,0 +1,264 @@
+// Client for the network-api, for Node (18 or later) and the browser.
+//
+//   Node:    const { NetworkApiClient } = require('network-api/client');
+//   Browser: <script src="/client.js"></script>, then window.NetworkApi
+//
+// Types are in client.d.ts.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.NetworkApi = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const RETRY_STATUSES = [503, 504];
+
+  // An answer other than 2xx, or a call that gave up. `status` is the HTTP
+  // status, or null when there was none (network error, timeout, cancelled).
+  class ApiError extends Error {
+    constructor(message, { status = null, code = null, body = null, requestId = null, retryAfter = null, cause } = {}) {
+      super(message, cause ? { cause } : undefined);
+      this.name = 'ApiError';
+      this.status = status;
+      this.code = code;
+      this.body = body;
+      this.requestId = requestId;
+      this.retryAfter = retryAfter;
+    }
+  }
+
+  // The form field, and so the analysis, a file goes to. `file` is anything
+  // with a MIME `type` and a `name`, such as a browser File.
+  function getFileType(file) {
+    const type = file.type || '';
+    const name = file.name || '';
+    if (type.startsWith('image/')) return 'image';
+    if (type.startsWith('audio/') || /\.(mp3|wav|m4a)$/i.test(name)) return 'audio';
+    if (type.startsWith('video/') || /\.(mp4|webm)$/i.test(name)) return 'video';
+    return 'unknown';
+  }
+
+  function baseName(filePath) {
+    return filePath.split(/[\\/]/).pop();
+  }
+
+  // A Blob or File as is; in Node also a file path or a Buffer
+  async function toBlob(file) {
+    if (typeof Blob !== 'undefined' && file instanceof Blob) {
+      return file;
+    }
+    if (typeof file === 'string') {
+      if (typeof process === 'undefined' || !process.versions?.node) {
+        throw new TypeError('File paths can only be analyzed from Node');
+      }
+      // fs.openAsBlob arrived in Node 19.8; older versions read the file whole
+      const fs = require('fs');
+      return fs.openAsBlob ? fs.openAsBlob(file) : new Blob([await fs.promises.readFile(file)]);
+    }
+    if (file instanceof ArrayBuffer || ArrayBuffer.isView(file)) {
+      return new Blob([file]);
+    }
+    throw new TypeError('file must be a Blob, a File, a Buffer or (in Node) a file path');
+  }
+
+  // Aborts when the caller's signal does, or when the time is up
+  function deadlineSignal(signal, timeoutMs) {
+    const controller = new AbortController();
+    const abort = reason => controller.abort(reason);
+    const onAbort = () => abort(signal.reason);
+
+    if (signal?.aborted) {
+      abort(signal.reason);
+    } else {
+      signal?.addEventListener('abort', onAbort, { once: true });
+    }
+    const timer = timeoutMs ? setTimeout(() => {
+      abort(new ApiError(`Request timed out after ${timeoutMs} ms`, { code: 'TIMEOUT' }));
+    }, timeoutMs) : null;
+
+    return {
+      signal: controller.signal,
+      release() {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+      }
+    };
+  }
+
+  function delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal.aborted) return reject(signal.reason);
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      };
+      const timer = setTimeout(() => {
+        signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  // Cancellation and timeouts surface as ApiErrors too
+  function abortError(reason) {
+    if (reason instanceof ApiError) return reason;
+    return new ApiError('Request was cancelled', { code: 'ABORTED', cause: reason });
+  }
+
+  // JSON as an object, anything else (CSV, HTML) as text
+  async function readBody(response) {
+    const text = await response.text();
+    if (!(response.headers.get('Content-Type') || '').includes('json')) {
+      return text;
+    }
+    try {
+      return text ? JSON.parse(text) : null;
+    } catch {
+      return text;
+    }
+  }
+
+  class NetworkApiClient {
+    // baseUrl defaults to the page's own origin in the browser
+    constructor({
+      baseUrl = '',
+      apiKey = null,
+      timeoutMs = 10 * 60 * 1000,
+      retries = 2,
+      retryDelayMs = 1000,
+      headers = {},
+      fetch: fetchImpl
+    } = {}) {
+      this.baseUrl = baseUrl.replace(/\/+$/, '');
+      this.apiKey = apiKey;
+      this.timeoutMs = timeoutMs;
+      this.retries = retries;
+      this.retryDelayMs = retryDelayMs;
+      this.headers = headers;
+      this.fetch = fetchImpl || globalThis.fetch.bind(globalThis);
+    }
+
+    analyzeImage(file, options = {}) {
+      return this.analyze(file, { ...options, type: 'image' });
+    }
+
+    analyzeAudio(file, options = {}) {
+      return this.analyze(file, { ...options, type: 'audio' });
+    }
+
+    analyzeVideo(file, options = {}) {
+      return this.analyze(file, { ...options, type: 'video' });
+    }
+
+    // Sends a file to POST /v1/analyze and resolves with its normalized
+    // result. The type is guessed from the file unless `type` is given.
+    async analyze(file, { type, filename, segment, segmentSeconds, segmentOverlap, callbackUrl, ...options } = {}) {
+      type ||= getFileType(typeof file === 'string' ? { name: file } : file);
+      if (!['image', 'audio', 'video'].includes(type)) {
+        throw new TypeError('Cannot tell the type of this file; pass type: "image", "audio" or "video"');
+      }
+      const blob = await toBlob(file);
+      const name = filename || file.name || (typeof file === 'string' ? baseName(file) : type);
+
+      // A fresh form for every attempt, as a sent body cannot be reused
+      const body = () => {
+        const form = new FormData();
+        form.append(type, blob, name);
+        if (segment !== undefined) form.append('segment', String(segment));
+        if (segmentSeconds !== undefined) form.append('segment_seconds', String(segmentSeconds));
+        if (segmentOverlap !== undefined) form.append('segment_overlap', String(segmentOverlap));
+        if (callbackUrl !== undefined) form.append('callback_url', callbackUrl);
+        return form;
+      };
+
+      const { data, requestId } = await this.request('POST', '/v1/analyze', { ...options, body });
+      return { ...data, requestId };
+    }
+
+    // Model health: one model's status, or both keyed by model
+    async health(model, options = {}) {
+      if (model) {
+        return (await this.request('GET', `/api/health/${model}`, options)).data;
+      }
+      const [image, audio] = await Promise.all([this.health('image', options), this.health('audio', options)]);
+      return { image, audio };
+    }
+
+    // Renders a batch of results as a CSV or printable HTML report and
+    // resolves with its text
+    async report(files, { format = 'html', title, ...options } = {}) {
+      const { data } = await this.request('POST', `/api/reports?format=${encodeURIComponent(format)}`, {
+        ...options,
+        headers: { 'Content-Type': 'application/json', ...options.headers },
+        body: () => JSON.stringify({ title, files })
+      });
+      return data;
+    }
+
+    // The decision policy (score thresholds per modality) applied to this
+    // client's results
+    async policy(options = {}) {
+      return (await this.request('GET', '/api/policy', options)).data;
+    }
+
+    async status(options = {}) {
+      return (await this.request('GET', '/api/status', options)).data;
+    }
+
+    // Retries 503 and 504 answers, after the server's Retry-After when it
+    // sends one. `timeoutMs` covers every attempt together.
+    async request(method, path, { body, headers = {}, signal, timeoutMs = this.timeoutMs, retries = this.retries } = {}) {
+      const deadline = deadlineSignal(signal, timeoutMs);
+      try {
+        for (let attempt = 0; ; attempt++) {
+          let response;
+          try {
+            response = await this.fetch(`${this.baseUrl}${path}`, {
+              method,
+              headers: {
+                ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}),
+                ...this.headers,
+                ...headers
+              },
+              body: body?.(),
+              signal: deadline.signal
+            });
+          } catch (error) {
+            if (deadline.signal.aborted) throw abortError(deadline.signal.reason);
+            throw new ApiError(`Could not reach the server: ${error.message}`, { code: 'NETWORK_ERROR', cause: error });
+          }
+
+          const data = await readBody(response).catch(error => {
+            throw deadline.signal.aborted ? abortError(deadline.signal.reason) : error;
+          });
+          const requestId = response.headers.get('X-Request-Id');
+          if (response.ok) {
+            return { data, requestId };
+          }
+
+          const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+          if (RETRY_STATUSES.includes(response.status) && attempt < retries) {
+            const waitMs = Number.isFinite(retryAfter) ? retryAfter * 1000 : this.retryDelayMs * 2 ** attempt;
+            await delay(waitMs, deadline.signal).catch(reason => { throw abortError(reason); });
+            continue;
+          }
+
+          throw new ApiError(data?.message || data?.error || `Request failed with status ${response.status}`, {
+            status: response.status,
+            code: data?.code || null,
+            body: data,
+            requestId,
+            retryAfter: Number.isFinite(retryAfter) ? retryAfter : null
+          });
+        }
+      } finally {
+        deadline.release();
+      }
+    }
+  }
+
+  return { NetworkApiClient, ApiError, getFileType };
+});
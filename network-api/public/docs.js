@@ -0,0 +1,17 @@
+// Interactive API documentation rendered from the server's OpenAPI document
+window.addEventListener('load', () => {
+  window.ui = SwaggerUIBundle({
+    url: '/api/openapi.json',
+    dom_id: '#swagger-ui',
+    deepLinking: true,
+    persistAuthorization: true,
+    // Reuse the API key entered in the upload interface, unless one was set with "Authorize"
+    requestInterceptor: request => {
+      const apiKey = localStorage.getItem('apiKey');
+      if (apiKey && !request.headers.Authorization) {
+        request.headers.Authorization = `Bearer ${apiKey}`;
+      }
+      return request;
+    }
+  });
+});